@@ -0,0 +1,31 @@
+// Stages in pipeline order, with their labels
+const STAGES = [
+  ['initial', 'Initial texture'],
+  ['seamless', 'Seamless pass']
+];
+
+/**
+ * Shows the positive and negative prompts of each stage as sent to the models
+ * @param {Object} props
+ * @param {Object} props.prompts - Positive prompts by stage
+ * @param {Object} [props.negativePrompts] - Negative prompts by stage
+ * @returns {JSX.Element}
+ */
+export default function ExpandedPrompts({ prompts, negativePrompts = {} }) {
+  return (
+    <div className="space-y-2 text-xs">
+      {STAGES.filter(([stage]) => prompts[stage] !== undefined).map(([stage, label]) => (
+        <div key={stage}>
+          <p className="font-medium text-gray-700">{label}</p>
+          <p className="text-gray-600 break-words">{prompts[stage]}</p>
+          {negativePrompts[stage] !== undefined && (
+            <p className="text-red-700 break-words">
+              <span className="font-medium">Negative: </span>
+              {negativePrompts[stage] || <em>none</em>}
+            </p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,288 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { analyzeSeams } from '../lib/seamAnalysis';
+
+// Grid sizes offered, as tiles per side
+const GRID_SIZES = [2, 3, 4, 5, 6, 7, 8];
+
+// Zoom limits relative to fitting the whole grid in view
+const MIN_ZOOM = 0.25;
+const MAX_ZOOM = 32;
+
+// Longest side the seams are analyzed at; larger textures are scaled down first
+const ANALYSIS_SIZE = 2048;
+
+// Segments each seam's heatmap is split into, and its width in screen pixels
+const HEATMAP_SEGMENTS = 256;
+const HEATMAP_WIDTH = 8;
+
+/**
+ * Reads the pixels of an image at no more than ANALYSIS_SIZE per side and
+ * measures its seams
+ * @param {HTMLImageElement} image - Loaded image
+ * @returns {Object} analyzeSeams result
+ */
+function analyzeImage(image) {
+  const scale = Math.min(1, ANALYSIS_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+  const width = Math.max(1, Math.round(image.naturalWidth * scale));
+  const height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  context.drawImage(image, 0, 0, width, height);
+  const { data } = context.getImageData(0, 0, width, height);
+
+  return analyzeSeams(data, width, height, 4);
+}
+
+/**
+ * Turns a seam's per-line profile into heat values from 0 to 1: 0 where the
+ * step across the seam is no larger than a typical step inside the image,
+ * 1 where it is four times as large. Lines are grouped into segments, each
+ * taking its worst line.
+ * @param {{profile: Float32Array, baseline: number}} seam - One seam from analyzeSeams
+ * @returns {number[]} Heat per segment
+ */
+function seamHeat({ profile, baseline }) {
+  const segments = Math.min(HEATMAP_SEGMENTS, profile.length);
+  const heat = new Array(segments).fill(0);
+  for (let line = 0; line < profile.length; line++) {
+    const segment = Math.floor(line * segments / profile.length);
+    const value = Math.min(1, Math.max(0, (profile[line] / baseline - 1) / 3));
+    heat[segment] = Math.max(heat[segment], value);
+  }
+  return heat;
+}
+
+/**
+ * Repeats a texture in a grid to judge how it tiles. Scroll to zoom around
+ * the cursor, drag to pan. Tile boundaries can be outlined, and a heatmap
+ * marks where the color jumps across the seams (red is worst).
+ * @param {Object} props
+ * @param {string} props.imageUrl - Texture URL or data URL
+ * @returns {JSX.Element}
+ */
+export default function TiledPreview({ imageUrl }) {
+  const canvasRef = useRef(null);
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const [image, setImage] = useState(null);
+  const [heat, setHeat] = useState(null);
+  const [grid, setGrid] = useState(3);
+  const [zoom, setZoom] = useState(1);
+  const [offset, setOffset] = useState({ x: 0, y: 0 });
+  const [showOutline, setShowOutline] = useState(true);
+  const [showHeatmap, setShowHeatmap] = useState(false);
+  const [canvasSize, setCanvasSize] = useState({ width: 0, height: 0 });
+
+  // Load the texture and measure its seams once per image
+  useEffect(() => {
+    const loaded = new Image();
+    loaded.onload = () => {
+      setImage(loaded);
+      const analysis = analyzeImage(loaded);
+      setHeat({ leftRight: seamHeat(analysis.leftRight), topBottom: seamHeat(analysis.topBottom) });
+    };
+    loaded.src = imageUrl;
+    setImage(null);
+    setHeat(null);
+  }, [imageUrl]);
+
+  // Keep the canvas backing store matched to its on-screen size
+  useEffect(() => {
+    const container = containerRef.current;
+    const resize = () => setCanvasSize({ width: container.clientWidth, height: container.clientHeight });
+    resize();
+    window.addEventListener('resize', resize);
+    return () => window.removeEventListener('resize', resize);
+  }, []);
+
+  // Scale and origin of the grid on screen, in CSS pixels
+  const getView = useCallback(() => {
+    if (!image) return null;
+    const fit = Math.min(
+      canvasSize.width / (grid * image.naturalWidth),
+      canvasSize.height / (grid * image.naturalHeight)
+    );
+    const scale = fit * zoom;
+    return {
+      scale,
+      x: (canvasSize.width - grid * image.naturalWidth * scale) / 2 + offset.x,
+      y: (canvasSize.height - grid * image.naturalHeight * scale) / 2 + offset.y
+    };
+  }, [image, canvasSize, grid, zoom, offset]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const view = getView();
+    if (!canvas || !view) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(canvasSize.width * ratio);
+    canvas.height = Math.round(canvasSize.height * ratio);
+    const context = canvas.getContext('2d');
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, canvas.width, canvas.height);
+
+    // Draw in texture pixels from here on
+    const { naturalWidth: width, naturalHeight: height } = image;
+    const scale = view.scale * ratio;
+    context.setTransform(scale, 0, 0, scale, view.x * ratio, view.y * ratio);
+
+    // A pattern fill leaves no hairline gaps between tiles, unlike one drawImage per tile
+    context.imageSmoothingEnabled = view.scale < 2;
+    context.fillStyle = context.createPattern(image, 'repeat');
+    context.fillRect(0, 0, grid * width, grid * height);
+
+    if (showHeatmap && heat) {
+      const band = HEATMAP_WIDTH / view.scale;
+      for (let tile = 1; tile < grid; tile++) {
+        for (let repeat = 0; repeat < grid; repeat++) {
+          // Left/right seams run down the vertical boundaries, one segment per group of rows
+          heat.leftRight.forEach((value, segment) => {
+            if (value <= 0) return;
+            const segmentHeight = height / heat.leftRight.length;
+            context.fillStyle = `rgba(239, 68, 68, ${0.2 + 0.7 * value})`;
+            context.fillRect(tile * width - band / 2, repeat * height + segment * segmentHeight, band, segmentHeight);
+          });
+          heat.topBottom.forEach((value, segment) => {
+            if (value <= 0) return;
+            const segmentWidth = width / heat.topBottom.length;
+            context.fillStyle = `rgba(239, 68, 68, ${0.2 + 0.7 * value})`;
+            context.fillRect(repeat * width + segment * segmentWidth, tile * height - band / 2, segmentWidth, band);
+          });
+        }
+      }
+    }
+
+    if (showOutline) {
+      context.strokeStyle = 'rgba(79, 70, 229, 0.8)';
+      context.lineWidth = 1 / view.scale;
+      context.setLineDash([6 / view.scale, 4 / view.scale]);
+      context.beginPath();
+      for (let tile = 0; tile <= grid; tile++) {
+        context.moveTo(tile * width, 0);
+        context.lineTo(tile * width, grid * height);
+        context.moveTo(0, tile * height);
+        context.lineTo(grid * width, tile * height);
+      }
+      context.stroke();
+    }
+  }, [image, heat, grid, canvasSize, showOutline, showHeatmap, getView]);
+
+  // Zooms by a factor while keeping the point under (x, y) in place
+  const zoomAt = useCallback((factor, x, y) => {
+    const view = getView();
+    if (!view) return;
+    const nextZoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom * factor));
+    const applied = nextZoom / zoom;
+    // The grid origin moves with the zoom; correct the offset so the cursor stays on the same pixel
+    const centerX = canvasSize.width / 2;
+    const centerY = canvasSize.height / 2;
+    setOffset({
+      x: (x - centerX) - (x - centerX - offset.x) * applied,
+      y: (y - centerY) - (y - centerY - offset.y) * applied
+    });
+    setZoom(nextZoom);
+  }, [getView, zoom, offset, canvasSize]);
+
+  // React registers wheel listeners as passive, so preventDefault needs a native listener
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const rect = canvas.getBoundingClientRect();
+      zoomAt(Math.exp(-e.deltaY * 0.002), e.clientX - rect.left, e.clientY - rect.top);
+    };
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', handleWheel);
+  }, [zoomAt]);
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { x: e.clientX - offset.x, y: e.clientY - offset.y };
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragRef.current) return;
+    setOffset({ x: e.clientX - dragRef.current.x, y: e.clientY - dragRef.current.y });
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const resetView = () => {
+    setZoom(1);
+    setOffset({ x: 0, y: 0 });
+  };
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-xs text-gray-600">
+        <label className="flex items-center gap-1">
+          Grid
+          <select
+            value={grid}
+            onChange={(e) => setGrid(Number(e.target.value))}
+            className="px-2 py-1 border border-gray-300 rounded-md text-xs"
+          >
+            {GRID_SIZES.map((size) => (
+              <option key={size} value={size}>{size}x{size}</option>
+            ))}
+          </select>
+        </label>
+        <div className="flex items-center gap-1">
+          <button
+            type="button"
+            onClick={() => zoomAt(1 / 1.5, canvasSize.width / 2, canvasSize.height / 2)}
+            className="px-2 py-1 bg-gray-100 hover:bg-gray-200 rounded-md"
+          >
+            −
+          </button>
+          <span className="w-12 text-center">{Math.round(zoom * 100)}%</span>
+          <button
+            type="button"
+            onClick={() => zoomAt(1.5, canvasSize.width / 2, canvasSize.height / 2)}
+            className="px-2 py-1 bg-gray-100 hover:bg-gray-200 rounded-md"
+          >
+            +
+          </button>
+          <button
+            type="button"
+            onClick={resetView}
+            className="px-2 py-1 bg-gray-100 hover:bg-gray-200 rounded-md"
+          >
+            Fit
+          </button>
+        </div>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={showOutline} onChange={(e) => setShowOutline(e.target.checked)} />
+          Tile outline
+        </label>
+        <label className="flex items-center gap-1" title="Red marks where the seams are least continuous">
+          <input type="checkbox" checked={showHeatmap} onChange={(e) => setShowHeatmap(e.target.checked)} disabled={!heat} />
+          Seam heatmap
+        </label>
+      </div>
+      <div
+        ref={containerRef}
+        className="relative flex-1 min-h-0 rounded-lg overflow-hidden"
+        style={{ background: 'repeating-conic-gradient(#f5f5f5 0% 25%, #e0e0e0 0% 50%) 50% / 20px 20px' }}
+      >
+        <canvas
+          ref={canvasRef}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          className="absolute inset-0 w-full h-full cursor-grab active:cursor-grabbing touch-none"
+        />
+        {!image && (
+          <p className="absolute inset-0 flex items-center justify-center text-sm text-gray-500">Loading texture...</p>
+        )}
+      </div>
+    </div>
+  );
+}
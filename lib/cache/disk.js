@@ -0,0 +1,84 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Keys are sha256 hex digests; checking the shape keeps keys from reaching outside the directory
+const KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Path of the file holding a key's image
+ * @param {string} dir - Cache directory
+ * @param {string} key - Cache key
+ * @returns {string}
+ */
+function entryPath(dir, key) {
+  if (!KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid cache key "${key}"`);
+  }
+  return path.join(dir, `${key}.png`);
+}
+
+/**
+ * Deletes expired entries, then the oldest ones until the directory fits in
+ * `maxBytes`
+ * @param {string} dir - Cache directory
+ * @param {number} maxBytes - Largest total size of the stored files
+ * @param {number} ttlMs - How long an entry stays valid
+ */
+async function pruneEntries(dir, maxBytes, ttlMs) {
+  const names = (await fs.readdir(dir)).filter((name) => KEY_PATTERN.test(path.basename(name, '.png')));
+  const files = [];
+  for (const name of names) {
+    try {
+      const { size, mtimeMs } = await fs.stat(path.join(dir, name));
+      files.push({ name, size, mtimeMs });
+    } catch (error) {
+      // Deleted by a concurrent prune
+    }
+  }
+
+  const cutoff = Date.now() - ttlMs;
+  let totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+  for (const file of files.sort((a, b) => a.mtimeMs - b.mtimeMs)) {
+    if (file.mtimeMs > cutoff && totalBytes <= maxBytes) break;
+    await fs.rm(path.join(dir, file.name), { force: true });
+    totalBytes -= file.size;
+  }
+}
+
+/**
+ * Creates a cache store that keeps images as PNG files named by their key,
+ * so entries survive restarts and can be shared by several server processes.
+ * When the directory is full, the oldest entries are deleted first.
+ * @param {Object} options
+ * @param {string} options.dir - Directory the images are stored in
+ * @param {number} options.maxBytes - Largest total size of the stored files
+ * @param {number} options.ttlMs - How long an entry stays valid
+ * @returns {Object} The store, see the store interface in ./index.js
+ */
+export default function createDiskStore({ dir, maxBytes, ttlMs }) {
+  return {
+    async get(key) {
+      const file = entryPath(dir, key);
+      try {
+        const { mtimeMs } = await fs.stat(file);
+        if (mtimeMs <= Date.now() - ttlMs) {
+          await fs.rm(file, { force: true });
+          return null;
+        }
+        return (await fs.readFile(file)).toString('base64');
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async set(key, value) {
+      const file = entryPath(dir, key);
+      await fs.mkdir(dir, { recursive: true });
+      // Write under a temporary name so readers never see a partial file
+      await fs.writeFile(`${file}.tmp`, Buffer.from(value, 'base64'));
+      await fs.rename(`${file}.tmp`, file);
+      await pruneEntries(dir, maxBytes, ttlMs);
+    }
+  };
+}
@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import path from 'path';
+import createMemoryStore from './memory';
+import createDiskStore from './disk';
+
+/**
+ * Content-addressed cache for provider calls, so regenerating with the same
+ * prompt, settings and seed doesn't call (and pay for) the backend again.
+ *
+ * A store exposes two async methods:
+ * - `get(key)`, resolving to the cached base64 PNG or null
+ * - `set(key, image)`, storing a base64 PNG
+ *
+ * Stores decide how long they keep entries and what they evict when full.
+ */
+export const CACHE_STORES = {
+  memory: createMemoryStore,
+  disk: createDiskStore
+};
+
+/**
+ * Store in use (CACHE_STORE, default `memory`); `none` turns caching off
+ */
+export const CACHE_STORE = process.env.CACHE_STORE || 'memory';
+
+/**
+ * How long a cached image stays valid (CACHE_TTL_MINUTES, default one day)
+ */
+export const CACHE_TTL_MS = (Number(process.env.CACHE_TTL_MINUTES) || 24 * 60) * 60 * 1000;
+
+/**
+ * Largest total size of the cache (CACHE_MAX_MB, default 200)
+ */
+export const CACHE_MAX_BYTES = (Number(process.env.CACHE_MAX_MB) || 200) * 1024 * 1024;
+
+/**
+ * Directory of the `disk` store (CACHE_DIR, default `generation-cache` in the working directory)
+ */
+export const CACHE_DIR = path.resolve(process.env.CACHE_DIR || 'generation-cache');
+
+/**
+ * Provider methods that take a seed. Without one the backend picks a random
+ * seed, so the result can't be reused.
+ */
+const SEEDED_METHODS = ['textToImage', 'imageToImage', 'inpaint'];
+
+// The store hangs off globalThis so the memory store survives Next's module reloading in development
+const state = globalThis.__generationCache || (globalThis.__generationCache = { store: undefined });
+
+/**
+ * The configured store, created on first use
+ * @returns {Object|null} The store, or null when caching is off
+ */
+export function getCacheStore() {
+  if (state.store === undefined) {
+    if (CACHE_STORE === 'none') {
+      state.store = null;
+    } else if (!Object.prototype.hasOwnProperty.call(CACHE_STORES, CACHE_STORE)) {
+      throw new Error(
+        `Unknown cache store "${CACHE_STORE}". Available stores: ${Object.keys(CACHE_STORES).join(', ')}, none`
+      );
+    } else {
+      state.store = CACHE_STORES[CACHE_STORE]({ dir: CACHE_DIR, maxBytes: CACHE_MAX_BYTES, ttlMs: CACHE_TTL_MS });
+    }
+  }
+  return state.store;
+}
+
+/**
+ * Serializes a value as JSON with object keys sorted, so equal options always
+ * give the same text
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Cache key of a provider call: a sha256 digest of the provider, the model
+ * version behind the method, and every option including the input images
+ * and the seed
+ * @param {Object} provider - Image provider
+ * @param {string} method - Provider method name
+ * @param {Object} options - Options of the call
+ * @returns {string} Hex digest
+ */
+export function cacheKey(provider, method, options) {
+  const model = provider.models[method];
+  return crypto
+    .createHash('sha256')
+    .update(canonicalJson({ provider: provider.name, model, method, options }))
+    .digest('hex');
+}
+
+/**
+ * Counts a cache lookup in a report
+ * @param {Object} report - Hits and misses by stage
+ * @param {string} stage - Pipeline stage the call belongs to
+ * @param {boolean} hit
+ */
+function recordLookup(report, stage, hit) {
+  const counts = report[stage] || (report[stage] = { hits: 0, misses: 0 });
+  counts[hit ? 'hits' : 'misses']++;
+}
+
+/**
+ * Wraps a provider so its calls are served from the cache when possible.
+ * Calls are only cached when their result is reproducible: the model version
+ * must be known (Automatic1111 runs whatever checkpoint is loaded) and seeded
+ * methods need a seed. A failing store is logged and treated as a miss, so it
+ * never fails a generation.
+ * @param {Object} provider - Image provider, see lib/providers
+ * @param {Object} options
+ * @param {string} options.stage - Stage reported for the provider's calls, e.g. `initial`
+ * @param {Object} [options.report] - Collects `{hits, misses}` by stage
+ * @returns {Object} A provider with the same name, models and methods
+ */
+export function withCache(provider, { stage, report = {} }) {
+  const store = getCacheStore();
+  if (!store) return provider;
+
+  const cached = { ...provider };
+  for (const method of [...SEEDED_METHODS, 'upscale']) {
+    if (typeof provider[method] !== 'function') continue;
+
+    cached[method] = async (options) => {
+      if (!provider.models[method] || (SEEDED_METHODS.includes(method) && options.seed === undefined)) {
+        return provider[method](options);
+      }
+
+      const key = cacheKey(provider, method, options);
+      try {
+        const image = await store.get(key);
+        if (image) {
+          console.log(`Cache hit for ${provider.name} ${method} (${stage}) ✓`);
+          recordLookup(report, stage, true);
+          return image;
+        }
+      } catch (error) {
+        console.error(`❌ Failed to read the cache for ${provider.name} ${method}:`, error);
+      }
+
+      recordLookup(report, stage, false);
+      const image = await provider[method](options);
+      try {
+        await store.set(key, image);
+      } catch (error) {
+        console.error(`❌ Failed to write the cache for ${provider.name} ${method}:`, error);
+      }
+      return image;
+    };
+  }
+  return cached;
+}
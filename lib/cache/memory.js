@@ -0,0 +1,47 @@
+/**
+ * Creates a cache store that keeps images in process memory. When the store
+ * is full, the least recently used entries are evicted first.
+ * @param {Object} options
+ * @param {number} options.maxBytes - Largest total size of the stored values
+ * @param {number} options.ttlMs - How long an entry stays valid
+ * @returns {Object} The store, see the store interface in ./index.js
+ */
+export default function createMemoryStore({ maxBytes, ttlMs }) {
+  // Map order runs from least to most recently used
+  const entries = new Map();
+  let totalBytes = 0;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (entry) {
+      totalBytes -= entry.size;
+      entries.delete(key);
+    }
+  };
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        remove(key);
+        return null;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value) {
+      remove(key);
+      if (value.length > maxBytes) return;
+
+      entries.set(key, { value, size: value.length, expiresAt: Date.now() + ttlMs });
+      totalBytes += value.length;
+      for (const oldest of entries.keys()) {
+        if (totalBytes <= maxBytes) break;
+        remove(oldest);
+      }
+    }
+  };
+}
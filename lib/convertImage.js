@@ -0,0 +1,106 @@
+import sharp from 'sharp';
+
+/**
+ * Formats images can be delivered in. `png16` and `tiff16` keep 16 bits per
+ * channel, which height maps need to avoid terracing; the others are 8-bit.
+ */
+export const IMAGE_FORMATS = {
+  png: { mimeType: 'image/png', extension: 'png', bitDepth: 8 },
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg', bitDepth: 8, lossy: true },
+  webp: { mimeType: 'image/webp', extension: 'webp', bitDepth: 8, lossy: true },
+  avif: { mimeType: 'image/avif', extension: 'avif', bitDepth: 8, lossy: true },
+  png16: { mimeType: 'image/png', extension: 'png', bitDepth: 16 },
+  tiff16: { mimeType: 'image/tiff', extension: 'tif', bitDepth: 16 }
+};
+
+/**
+ * File extension for an image MIME type
+ * @param {string} mimeType - MIME type such as `image/jpeg`
+ * @returns {string} Extension without the dot, `png` for unknown types
+ */
+export function extensionForMimeType(mimeType) {
+  const format = Object.values(IMAGE_FORMATS).find((entry) => entry.mimeType === mimeType);
+  return format ? format.extension : 'png';
+}
+
+/**
+ * MIME type for a file extension, the reverse of extensionForMimeType
+ * @param {string} extension - Extension without the dot, such as `jpg`
+ * @returns {string} MIME type, `image/png` for unknown extensions
+ */
+export function mimeTypeForExtension(extension) {
+  const format = Object.values(IMAGE_FORMATS).find((entry) => entry.extension === extension);
+  return format ? format.mimeType : 'image/png';
+}
+
+/**
+ * Key of IMAGE_FORMATS an encoded image is in, so derived images (e.g. other
+ * sizes) can be written the same way
+ * @param {Object} metadata - sharp metadata of the image
+ * @returns {string}
+ */
+export function detectFormat(metadata) {
+  if (metadata.format === 'heif') return 'avif';
+  if (metadata.format === 'tiff') return 'tiff16';
+  if (metadata.format === 'png' && metadata.depth === 'ushort') return 'png16';
+  return IMAGE_FORMATS[metadata.format] ? metadata.format : 'png';
+}
+
+/**
+ * Colourspace that writes an image at a given bit depth. Without an explicit
+ * colourspace sharp writes 8-bit sRGB, even for grayscale or 16-bit input.
+ * @param {Object} metadata - sharp metadata of the input
+ * @param {number} bitDepth - 8 or 16
+ * @returns {string} sharp colourspace name
+ */
+export function colourspaceFor(metadata, bitDepth) {
+  const grayscale = metadata.channels <= 2;
+  if (bitDepth === 16) {
+    return grayscale ? 'grey16' : 'rgb16';
+  }
+  return grayscale ? 'b-w' : 'srgb';
+}
+
+/**
+ * Re-encodes an image in another format. Grayscale images stay single-channel
+ * where the format allows it. An 8-bit PNG asked for as `png` is returned as is.
+ * @param {string|Buffer} input - Base64 encoded image or image buffer
+ * @param {Object} [options]
+ * @param {string} [options.format='png'] - Key of IMAGE_FORMATS
+ * @param {number} [options.quality=90] - 1-100, used by the lossy formats
+ * @returns {Promise<{buffer: Buffer, mimeType: string, extension: string}>}
+ */
+export default async function convertImage(input, { format = 'png', quality = 90 } = {}) {
+  const target = IMAGE_FORMATS[format];
+  if (!target) {
+    throw new Error(`Unknown image format: ${format}`);
+  }
+
+  const buffer = Buffer.isBuffer(input) ? input : Buffer.from(input, 'base64');
+  const metadata = await sharp(buffer).metadata();
+  if (format === 'png' && metadata.format === 'png' && metadata.depth === 'uchar') {
+    return { buffer, mimeType: target.mimeType, extension: target.extension };
+  }
+
+  let pipeline = sharp(buffer).toColourspace(colourspaceFor(metadata, target.bitDepth));
+  if (format === 'png' || format === 'png16') {
+    pipeline = pipeline.png();
+  } else if (format === 'tiff16') {
+    pipeline = pipeline.tiff({ compression: 'lzw' });
+  } else {
+    pipeline = pipeline[format]({ quality });
+  }
+
+  return { buffer: await pipeline.toBuffer(), mimeType: target.mimeType, extension: target.extension };
+}
+
+/**
+ * Converts an image and wraps it in a data URL
+ * @param {string|Buffer} input - Base64 encoded image or image buffer
+ * @param {Object} [options] - See convertImage
+ * @returns {Promise<string>}
+ */
+export async function convertToDataUrl(input, options) {
+  const { buffer, mimeType } = await convertImage(input, options);
+  return `data:${mimeType};base64,${buffer.toString('base64')}`;
+}
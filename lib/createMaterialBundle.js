@@ -0,0 +1,262 @@
+import JSZip from 'jszip';
+import sharp from 'sharp';
+import { PBR_MAP_NAMES } from './derivePbrMaps';
+import convertImage, { detectFormat, extensionForMimeType } from './convertImage';
+import resizeTileable, { EXPORT_SIZES, fitLongestSide, mipLevels } from './resizeTileable';
+import { GENERATION_PARAMS } from './generationParams';
+
+/**
+ * File name template used when a request sends none (MATERIAL_NAME_TEMPLATE, default `{name}_{map}`)
+ */
+export const DEFAULT_NAME_TEMPLATE = process.env.MATERIAL_NAME_TEMPLATE || '{name}_{map}';
+
+/**
+ * Placeholders a file name template may use
+ */
+export const NAME_PLACEHOLDERS = ['name', 'map', 'seed', 'strategy', 'width', 'height'];
+
+/**
+ * Turns a prompt into a file-name-safe material name
+ * @param {string} text - Prompt or name
+ * @returns {string} Lowercase words joined by dashes, at most 48 characters
+ */
+export function slugify(text) {
+  const slug = String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 48)
+    .replace(/-+$/, '');
+
+  return slug || 'material';
+}
+
+/**
+ * Checks a file name template: only known placeholders, `{map}` present so
+ * the files can't collide, and no path separators
+ * @param {string} template - Template such as `{name}_{map}`
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateNameTemplate(template) {
+  if (typeof template !== 'string' || !template.includes('{map}')) {
+    return 'nameTemplate must be a string containing {map}';
+  }
+  if (/[\\/]/.test(template)) {
+    return 'nameTemplate must not contain path separators';
+  }
+
+  const unknown = [...template.matchAll(/\{([^}]*)\}/g)]
+    .map((match) => match[1])
+    .filter((name) => !NAME_PLACEHOLDERS.includes(name));
+  if (unknown.length > 0) {
+    return `Unknown nameTemplate placeholders: ${unknown.join(', ')}. Available: ${NAME_PLACEHOLDERS.map((name) => `{${name}}`).join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Checks the resolution options of a bundle
+ * @param {Object} options
+ * @param {number[]} [options.sizes] - Longest-side sizes to export, from EXPORT_SIZES
+ * @param {boolean} [options.mips] - Whether to add mip chains
+ * @returns {string[]} Error messages
+ */
+export function validateExportOptions({ sizes, mips }) {
+  const errors = [];
+  if (sizes !== undefined && (!Array.isArray(sizes) || sizes.some((size) => !EXPORT_SIZES.includes(size)))) {
+    errors.push(`sizes must be a list of: ${EXPORT_SIZES.join(', ')}`);
+  }
+  if (mips !== undefined && typeof mips !== 'boolean') {
+    errors.push('mips must be true or false');
+  }
+  return errors;
+}
+
+/**
+ * Fills in a file name template
+ * @param {string} template - Validated template
+ * @param {Object} values - Placeholder values
+ * @returns {string}
+ */
+function applyTemplate(template, values) {
+  return template.replace(/\{([^}]*)\}/g, (match, name) => String(values[name] ?? ''));
+}
+
+/**
+ * Decodes a data URL, or a plain base64 string taken to be a PNG
+ * @param {string} image - Data URL or base64
+ * @returns {Promise<{buffer: Buffer, extension: string, format: string, width: number, height: number}>}
+ *   The image, the file extension of its type, and its format (see convertImage) and size
+ */
+async function readImage(image) {
+  const match = image.match(/^data:([^;,]*)[^,]*,/);
+  const buffer = Buffer.from(image.slice(match ? match[0].length : 0), 'base64');
+  const metadata = await sharp(buffer).metadata();
+  return {
+    buffer,
+    extension: extensionForMimeType(match ? match[1] : 'image/png'),
+    format: detectFormat(metadata),
+    width: metadata.width,
+    height: metadata.height
+  };
+}
+
+/**
+ * Resizes every image of a material with wrap-aware resampling and encodes
+ * each in the format it came in. The lossless result is kept alongside, so
+ * chained resizes (mip levels) don't compound compression artifacts.
+ * @param {Object} images - Images by map name, from readImage or an earlier resizeImages
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @param {number} quality - Quality for lossy formats
+ * @returns {Promise<Object>} Images by map name
+ */
+async function resizeImages(images, width, height, quality) {
+  const resized = {};
+  for (const [mapName, image] of Object.entries(images)) {
+    const lossless = await resizeTileable(image.lossless || image.buffer, width, height);
+    const { buffer } = await convertImage(lossless, { format: image.format, quality });
+    resized[mapName] = { ...image, buffer, lossless, width, height };
+  }
+  return resized;
+}
+
+/**
+ * Adds one resolution of a material to the ZIP
+ * @param {JSZip} zip - Bundle being built
+ * @param {Object} images - Images by map name
+ * @param {Object} naming
+ * @param {string} naming.folder - Folder inside the ZIP, empty or ending in `/`
+ * @param {string} naming.nameTemplate - Validated file name template
+ * @param {Object} naming.values - Placeholder values other than `map`
+ * @param {string} [naming.suffix] - Appended to every file name, e.g. `_mip1`
+ * @returns {Object} File paths by map name
+ */
+function addImages(zip, images, { folder, nameTemplate, values, suffix = '' }) {
+  const files = {};
+  for (const [mapName, { buffer, extension }] of Object.entries(images)) {
+    const path = `${folder}${applyTemplate(nameTemplate, { ...values, map: mapName })}${suffix}.${extension}`;
+    files[mapName] = path;
+    zip.file(path, buffer);
+  }
+  return files;
+}
+
+/**
+ * Adds the mip chain below one resolution to the ZIP, in a `mips/` folder.
+ * Each level is resampled from the one above it, wrapping around the edges.
+ * @param {JSZip} zip - Bundle being built
+ * @param {Object} images - Top-level images by map name
+ * @param {Object} naming - See addImages; `folder` is the folder of the top level
+ * @param {number} quality - Quality for lossy formats
+ * @returns {Promise<Array<{level: number, width: number, height: number, files: Object}>>}
+ */
+async function addMipChain(zip, images, naming, quality) {
+  const { width, height } = images.albedo;
+  const levels = [];
+  let previous = images;
+
+  for (const [index, size] of mipLevels(width, height).entries()) {
+    const level = index + 1;
+    previous = await resizeImages(previous, size.width, size.height, quality);
+    const files = addImages(zip, previous, {
+      ...naming,
+      folder: `${naming.folder}mips/`,
+      values: { ...naming.values, ...size },
+      suffix: `_mip${level}`
+    });
+    levels.push({ level, ...size, files });
+  }
+
+  return levels;
+}
+
+/**
+ * Packs a finished texture into a self-describing ZIP: the albedo, every
+ * derived map present, and a `material.json` manifest with everything needed
+ * to reproduce or import it. All files share one naming scheme.
+ * @param {Object} material - A generation result (see makeImageSeamless), with at least `imageUrl`
+ * @param {Object} [options]
+ * @param {string} [options.name] - Material name (defaults to a slug of the prompt)
+ * @param {string} [options.nameTemplate] - File name template (see DEFAULT_NAME_TEMPLATE and NAME_PLACEHOLDERS)
+ * @param {number[]} [options.sizes] - Also export these longest-side sizes (see EXPORT_SIZES), each in its
+ *   own folder, resampled so every size still tiles
+ * @param {boolean} [options.mips=false] - Add a mip chain below each exported size (the native one when no
+ *   `sizes` are given)
+ * @param {number} [options.quality] - Quality for re-encoding resized images in lossy formats
+ * @returns {Promise<{buffer: Buffer, filename: string, manifest: Object}>} The ZIP and its suggested name
+ */
+export default async function createMaterialBundle(material, options = {}) {
+  const {
+    nameTemplate = DEFAULT_NAME_TEMPLATE,
+    sizes = [],
+    mips = false,
+    quality = GENERATION_PARAMS.quality.default
+  } = options;
+  const name = slugify(options.name || material.prompt);
+
+  const albedo = await readImage(material.imageUrl);
+  const { width, height } = albedo;
+
+  const images = { albedo };
+  for (const mapName of PBR_MAP_NAMES) {
+    if (material.maps && material.maps[mapName]) {
+      images[mapName] = await readImage(material.maps[mapName]);
+    }
+  }
+
+  const values = {
+    name,
+    seed: material.seeds ? material.seeds.initial ?? material.seeds.seamless ?? '' : '',
+    strategy: material.strategy || '',
+    width,
+    height
+  };
+
+  const zip = new JSZip();
+  const files = addImages(zip, images, { folder: '', nameTemplate, values });
+  const nativeMips = mips && sizes.length === 0
+    ? await addMipChain(zip, images, { folder: '', nameTemplate, values }, quality)
+    : null;
+
+  // The resolution ladder, smallest first, each size in its own folder
+  const exportedSizes = [];
+  for (const size of [...new Set(sizes)].sort((a, b) => a - b)) {
+    const dimensions = fitLongestSide(width, height, size);
+    console.log(`Resizing material "${name}" to ${dimensions.width}x${dimensions.height}...`);
+    const resized = await resizeImages(images, dimensions.width, dimensions.height, quality);
+    const naming = { folder: `${size}/`, nameTemplate, values: { ...values, ...dimensions } };
+    exportedSizes.push({
+      size,
+      ...dimensions,
+      files: addImages(zip, resized, naming),
+      ...(mips && { mips: await addMipChain(zip, resized, naming, quality) })
+    });
+  }
+
+  const manifest = {
+    name,
+    createdAt: new Date().toISOString(),
+    prompt: material.prompt ?? null,
+    prompts: material.prompts ?? null,
+    negativePrompts: material.negativePrompts ?? null,
+    seeds: material.seeds ?? null,
+    models: material.models ?? null,
+    strategy: material.strategy ?? null,
+    fallbacks: material.fallbacks ?? [],
+    seamScore: material.seamScore ?? null,
+    ...(material.upscale && { upscale: material.upscale }),
+    resolution: { width, height },
+    files,
+    ...(nativeMips && { mips: nativeMips }),
+    ...(exportedSizes.length > 0 && { sizes: exportedSizes }),
+    ...(material.pbrSettings && { pbrSettings: material.pbrSettings }),
+    ...(material.source && { source: material.source })
+  };
+  zip.file('material.json', JSON.stringify(manifest, null, 2));
+
+  console.log(`Packed material "${name}" with ${Object.keys(files).join(', ')}`);
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  return { buffer, filename: `${name}.zip`, manifest };
+}
@@ -0,0 +1,22 @@
+import sharp from 'sharp';
+
+/**
+ * Largest side of a progress preview in pixels
+ */
+export const PREVIEW_SIZE = 256;
+
+/**
+ * Shrinks an intermediate image into a small JPEG data URL, cheap enough to
+ * stream to the browser while the pipeline is still running
+ * @param {string} imageBase64 - Base64 encoded image
+ * @param {number} [size=PREVIEW_SIZE] - Largest side of the preview
+ * @returns {Promise<string>} JPEG data URL
+ */
+export default async function createPreview(imageBase64, size = PREVIEW_SIZE) {
+  const preview = await sharp(Buffer.from(imageBase64, 'base64'))
+    .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 70 })
+    .toBuffer();
+
+  return `data:image/jpeg;base64,${preview.toString('base64')}`;
+}
@@ -0,0 +1,245 @@
+import sharp from 'sharp';
+import { decodeImage, encodePngBase64 } from './seamless/imageUtils';
+
+/**
+ * Maps derived from an albedo, in the order they are returned
+ */
+export const PBR_MAP_NAMES = ['height', 'normal', 'roughness', 'ao'];
+
+/**
+ * Options that shape the maps, reported next to them so they can be reproduced
+ */
+export const PBR_OPTION_NAMES = ['normalStrength', 'normalConvention', 'heightInvert', 'roughnessStrength', 'roughnessInvert', 'aoStrength'];
+
+/**
+ * Normal map conventions: OpenGL (Blender, Unity, Godot) has green pointing
+ * up, DirectX (Unreal, Substance's default export) has green pointing down
+ */
+export const NORMAL_CONVENTIONS = ['opengl', 'directx'];
+
+/**
+ * Wraps an index into [0, n), so sampling past an edge reads the opposite edge
+ * @param {number} i - Index, may be negative or >= n
+ * @param {number} n - Length
+ * @returns {number}
+ */
+function wrapIndex(i, n) {
+  return ((i % n) + n) % n;
+}
+
+/**
+ * Box blur with wrap-around edges, so a blurred map of a tileable texture
+ * still tiles. Separable running sums keep it linear in the pixel count.
+ * @param {Float32Array} values - One value per pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} radius - Blur radius in pixels
+ * @returns {Float32Array}
+ */
+function wrapBoxBlur(values, width, height, radius) {
+  const size = 2 * radius + 1;
+  const rows = new Float32Array(values.length);
+  const blurred = new Float32Array(values.length);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    let sum = 0;
+    for (let k = -radius; k <= radius; k++) {
+      sum += values[row + wrapIndex(k, width)];
+    }
+    for (let x = 0; x < width; x++) {
+      rows[row + x] = sum / size;
+      sum += values[row + wrapIndex(x + radius + 1, width)] - values[row + wrapIndex(x - radius, width)];
+    }
+  }
+
+  for (let x = 0; x < width; x++) {
+    let sum = 0;
+    for (let k = -radius; k <= radius; k++) {
+      sum += rows[wrapIndex(k, height) * width + x];
+    }
+    for (let y = 0; y < height; y++) {
+      blurred[y * width + x] = sum / size;
+      sum += rows[wrapIndex(y + radius + 1, height) * width + x] - rows[wrapIndex(y - radius, height) * width + x];
+    }
+  }
+
+  return blurred;
+}
+
+/**
+ * Approximates a Gaussian blur with three wrap-around box blurs
+ * @param {Float32Array} values - One value per pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} radius - Radius of each box pass
+ * @returns {Float32Array}
+ */
+function wrapBlur(values, width, height, radius) {
+  let blurred = values;
+  for (let pass = 0; pass < 3; pass++) {
+    blurred = wrapBoxBlur(blurred, width, height, radius);
+  }
+  return blurred;
+}
+
+/**
+ * Stretches values to the full 0-1 range
+ * @param {Float32Array} values - Values to normalize in place
+ * @returns {Float32Array}
+ */
+function normalize(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of values) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+
+  const range = max - min;
+  for (let i = 0; i < values.length; i++) {
+    values[i] = range > 0 ? (values[i] - min) / range : 0.5;
+  }
+  return values;
+}
+
+/**
+ * Encodes 0-1 values as a single-channel grayscale PNG
+ * @param {Float32Array} values - One value per pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} [bitDepth=8] - 8 or 16 bits per pixel
+ * @returns {Promise<string>} Base64 encoded PNG
+ */
+async function encodeGrayscale(values, width, height, bitDepth = 8) {
+  const maxValue = bitDepth === 16 ? 65535 : 255;
+  const data = bitDepth === 16 ? new Uint16Array(values.length) : Buffer.alloc(values.length);
+  for (let i = 0; i < values.length; i++) {
+    data[i] = Math.round(Math.min(1, Math.max(0, values[i])) * maxValue);
+  }
+
+  // sharp would otherwise promote one raw channel to 8-bit sRGB
+  const png = await sharp(data, { raw: { width, height, channels: 1 } })
+    .toColourspace(bitDepth === 16 ? 'grey16' : 'b-w')
+    .png()
+    .toBuffer();
+  return png.toString('base64');
+}
+
+/**
+ * Derives a height map from the albedo's luminance: lightly blurred to drop
+ * pixel noise, then stretched to the full range
+ * @param {Object} albedo - Raw albedo from decodeImage
+ * @param {boolean} invert - Treat dark areas as raised instead of recessed
+ * @returns {Float32Array} Heights from 0 (low) to 1 (high)
+ */
+function deriveHeight({ data, width, height, channels }, invert) {
+  const luminance = new Float32Array(width * height);
+  for (let i = 0; i < luminance.length; i++) {
+    const offset = i * channels;
+    luminance[i] = channels >= 3
+      ? (0.2126 * data[offset] + 0.7152 * data[offset + 1] + 0.0722 * data[offset + 2]) / 255
+      : data[offset] / 255;
+  }
+
+  const radius = Math.max(1, Math.round(Math.min(width, height) / 512));
+  const heights = normalize(wrapBlur(luminance, width, height, radius));
+  if (invert) {
+    for (let i = 0; i < heights.length; i++) heights[i] = 1 - heights[i];
+  }
+  return heights;
+}
+
+/**
+ * Derives a tangent-space normal map from the height map with a Sobel filter.
+ * Neighbors past an edge are read from the opposite edge, so the map tiles.
+ * @param {Float32Array} heights - Heights from deriveHeight
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} strength - Slope multiplier (0 gives a flat map)
+ * @param {string} convention - `opengl` or `directx`
+ * @returns {Buffer} Raw RGB pixels
+ */
+function deriveNormal(heights, width, height, strength, convention) {
+  const data = Buffer.alloc(width * height * 3);
+  const greenSign = convention === 'directx' ? -1 : 1;
+  const sample = (x, y) => heights[wrapIndex(y, height) * width + wrapIndex(x, width)];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // Gradients along +x (right) and +y (down, image rows)
+      const gx = (sample(x + 1, y - 1) + 2 * sample(x + 1, y) + sample(x + 1, y + 1))
+        - (sample(x - 1, y - 1) + 2 * sample(x - 1, y) + sample(x - 1, y + 1));
+      const gy = (sample(x - 1, y + 1) + 2 * sample(x, y + 1) + sample(x + 1, y + 1))
+        - (sample(x - 1, y - 1) + 2 * sample(x, y - 1) + sample(x + 1, y - 1));
+
+      // Image rows run down, so the upward slope is -gy and its normal component is +gy
+      const nx = -gx * strength;
+      const ny = gy * strength * greenSign;
+      const length = Math.sqrt(nx * nx + ny * ny + 1);
+
+      const offset = (y * width + x) * 3;
+      data[offset] = Math.round((nx / length * 0.5 + 0.5) * 255);
+      data[offset + 1] = Math.round((ny / length * 0.5 + 0.5) * 255);
+      data[offset + 2] = Math.round((1 / length * 0.5 + 0.5) * 255);
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Derives PBR maps from a seamless albedo with local pixel math: a height
+ * map, a tangent-space normal map, roughness and ambient occlusion. Every
+ * neighborhood operation samples across the wrap-around edges, so each map
+ * tiles exactly like the albedo.
+ * @param {string} albedoBase64 - Base64 encoded seamless albedo
+ * @param {Object} [options]
+ * @param {number} [options.normalStrength=2] - Normal map slope multiplier
+ * @param {string} [options.normalConvention='opengl'] - `opengl` (green up) or `directx` (green down)
+ * @param {boolean} [options.heightInvert=false] - Treat dark areas as raised
+ * @param {number} [options.roughnessStrength=1] - Roughness contrast around mid-gray
+ * @param {boolean} [options.roughnessInvert=false] - Make bright areas rough instead of glossy
+ * @param {number} [options.aoStrength=1] - Ambient occlusion darkening in crevices
+ * @returns {Promise<{height: string, normal: string, roughness: string, ao: string}>} Base64 encoded PNGs,
+ *   16-bit for the height map and 8-bit for the others
+ */
+export default async function derivePbrMaps(albedoBase64, options = {}) {
+  const {
+    normalStrength = 2,
+    normalConvention = 'opengl',
+    heightInvert = false,
+    roughnessStrength = 1,
+    roughnessInvert = false,
+    aoStrength = 1
+  } = options;
+
+  const albedo = await decodeImage(albedoBase64);
+  const { width, height } = albedo;
+  console.log(`Deriving PBR maps at ${width}x${height} (${normalConvention} normals)...`);
+
+  const heights = deriveHeight(albedo, heightInvert);
+
+  // Bright, raised areas read as worn and glossy; dark recesses as rough
+  const roughness = new Float32Array(heights.length);
+  for (let i = 0; i < heights.length; i++) {
+    const base = roughnessInvert ? heights[i] : 1 - heights[i];
+    roughness[i] = 0.5 + (base - 0.5) * roughnessStrength;
+  }
+
+  // Occlusion is how far a pixel sits below its wider surroundings
+  const surroundings = wrapBlur(heights, width, height, Math.max(2, Math.round(Math.min(width, height) / 64)));
+  const ao = new Float32Array(heights.length);
+  for (let i = 0; i < heights.length; i++) {
+    ao[i] = 1 - Math.max(0, surroundings[i] - heights[i]) * 2 * aoStrength;
+  }
+
+  const normal = deriveNormal(heights, width, height, normalStrength, normalConvention);
+
+  return {
+    height: await encodeGrayscale(heights, width, height, 16),
+    normal: await encodePngBase64({ data: normal, width, height, channels: 3 }),
+    roughness: await encodeGrayscale(roughness, width, height),
+    ao: await encodeGrayscale(ao, width, height)
+  };
+}
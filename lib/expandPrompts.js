@@ -0,0 +1,97 @@
+import { getPreset } from './presets';
+import { renderTemplate } from './promptTemplate';
+import { splitTerms, validateWeightedPrompt } from './promptWeights';
+
+/**
+ * How a request's negative prompt combines with the preset's: `merge` adds
+ * its terms to the preset's, `replace` uses it alone
+ */
+export const NEGATIVE_MODES = ['merge', 'replace'];
+
+/**
+ * Longest negative prompt a request may send, in characters
+ */
+export const MAX_NEGATIVE_PROMPT_LENGTH = 2000;
+
+/**
+ * Collapses the whitespace of an expanded template, including the line breaks
+ * and indentation of multi-line templates
+ * @param {string} text
+ * @returns {string}
+ */
+function collapseWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Joins negative prompts into one comma-separated list. Terms are compared
+ * case-insensitively, and only the first occurrence of each is kept; a
+ * weighted group counts as one term.
+ * @param {...string} prompts - Negative prompts, in order of precedence
+ * @returns {string}
+ */
+export function mergeNegatives(...prompts) {
+  const seen = new Set();
+  const terms = [];
+  for (const term of prompts.flatMap((prompt) => splitTerms(prompt || ''))) {
+    const cleaned = collapseWhitespace(term);
+    const key = cleaned.toLowerCase();
+    if (cleaned && !seen.has(key)) {
+      seen.add(key);
+      terms.push(cleaned);
+    }
+  }
+  return terms.join(', ');
+}
+
+/**
+ * Checks the negative prompt fields of a request body, including the
+ * weighting syntax of the negative prompt
+ * @param {Object} body - Request body
+ * @param {string} [body.negativePrompt] - Extra negative terms, comma-separated
+ * @param {string} [body.negativeMode='merge'] - One of NEGATIVE_MODES
+ * @returns {string[]} Error messages
+ */
+export function validateNegativePrompt({ negativePrompt, negativeMode }) {
+  const errors = [];
+  if (negativePrompt !== undefined &&
+      (typeof negativePrompt !== 'string' || negativePrompt.length > MAX_NEGATIVE_PROMPT_LENGTH)) {
+    errors.push(`negativePrompt must be a string of at most ${MAX_NEGATIVE_PROMPT_LENGTH} characters`);
+  } else if (negativePrompt) {
+    errors.push(...validateWeightedPrompt(negativePrompt, 'negativePrompt'));
+  }
+  if (negativeMode !== undefined && !NEGATIVE_MODES.includes(negativeMode)) {
+    errors.push(`negativeMode must be one of: ${NEGATIVE_MODES.join(', ')}`);
+  }
+  return errors;
+}
+
+/**
+ * Expands the prompts of both stages exactly as they are sent to the models:
+ * the preset's templates filled with the request's variables, and the
+ * request's negative prompt merged into (or replacing) the preset's negatives.
+ * The `sdxl` strategy's image-to-image pass adds its own tiling terms on top,
+ * see makeTextureSeamless.
+ * @param {Object} request - Normalized request from validateGenerationRequest
+ * @returns {{preset: string, initial: {positive: string, negative: string},
+ *   seamless: {positive: string, negative: string}}}
+ */
+export default function expandPrompts(request) {
+  const preset = getPreset(request.preset);
+
+  const expandStage = (templates) => {
+    const negative = request.negativeMode === 'replace'
+      ? mergeNegatives(request.negativePrompt)
+      : mergeNegatives(renderTemplate(templates.negative, request.variables).text, request.negativePrompt);
+    return {
+      positive: collapseWhitespace(renderTemplate(templates.positive, request.variables).text),
+      negative
+    };
+  };
+
+  return {
+    preset: preset.name,
+    initial: expandStage(preset.initial),
+    seamless: expandStage(preset.seamless)
+  };
+}
@@ -0,0 +1,5 @@
+/**
+ * Longest-side sizes offered for export, smallest first. Kept apart from
+ * lib/resizeTileable.js, which needs sharp, so the UI can import them too.
+ */
+export const EXPORT_SIZES = [512, 1024, 2048, 4096];
@@ -0,0 +1,84 @@
+import generateSeamlessTexture from './generateSeamlessTexture';
+import mapWithConcurrency from './mapWithConcurrency';
+import { MAX_SEED, randomSeed } from './seeds';
+
+/**
+ * How many variations of a batch are generated at once (BATCH_CONCURRENCY, default 2)
+ */
+export const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 2;
+
+/**
+ * Number of variations /api/batch generates when `count` is omitted
+ */
+export const DEFAULT_BATCH_COUNT = 4;
+
+/**
+ * Whether a request asks for more than one variation
+ * @param {Object} request - Normalized request from validateGenerationRequest
+ * @returns {boolean}
+ */
+export function isBatchRequest(request) {
+  return (request.params.count ?? 1) > 1;
+}
+
+/**
+ * Seed of one variation: a fixed seed is counted up per variation so the whole
+ * batch is reproducible, an omitted seed is picked at random per variation
+ * @param {number} [seed] - Requested seed
+ * @param {number} index - Variation index
+ * @returns {number}
+ */
+function variationSeed(seed, index) {
+  return seed == null ? randomSeed() : (seed + index) % (MAX_SEED + 1);
+}
+
+/**
+ * Generates `count` variations of one prompt, each with its own seeds, with at
+ * most BATCH_CONCURRENCY running at once. A failed variation is reported in
+ * place rather than failing the batch.
+ * @param {Object} request - Normalized request from validateGenerationRequest
+ * @param {Object} [callbacks]
+ * @param {Function} [callbacks.onProgress] - Progress callback, see generateSeamlessTexture.
+ *   Events carry the variation index in `variation`.
+ * @returns {Promise<{variations: Object[]}>} One entry per variation in order: the
+ *   generateSeamlessTexture result plus `index`, or `{index, seeds, error}` if it failed
+ */
+export default async function generateBatch(request, { onProgress = () => {} } = {}) {
+  const { params } = request;
+  const count = params.count ?? 1;
+
+  const variations = Array.from({ length: count }, (_, index) => ({
+    ...request,
+    params: {
+      ...params,
+      seed: variationSeed(params.seed, index),
+      seamlessSeed: variationSeed(params.seamlessSeed, index)
+    }
+  }));
+
+  console.log(`Generating ${count} variations, ${BATCH_CONCURRENCY} at a time...`);
+
+  const outcomes = await mapWithConcurrency(variations, BATCH_CONCURRENCY, (variation, index) =>
+    generateSeamlessTexture(variation, {
+      onProgress: (event) => onProgress({ ...event, message: `Variation ${index + 1}: ${event.message}`, variation: index })
+    })
+  );
+
+  const results = outcomes.map((outcome, index) => {
+    if (outcome.status === 'fulfilled') {
+      return { index, ...outcome.value };
+    }
+
+    console.error(`Variation ${index + 1} failed:`, outcome.reason);
+    const { seed, seamlessSeed } = variations[index].params;
+    return { index, seeds: { initial: seed, seamless: seamlessSeed }, error: outcome.reason.message };
+  });
+
+  const failed = results.filter((result) => result.error);
+  if (failed.length === count) {
+    throw new Error(`All ${count} variations failed: ${failed[0].error}`);
+  }
+
+  console.log(`✓ Generated ${count - failed.length} of ${count} variations`);
+  return { variations: results };
+}
@@ -1,45 +1,51 @@
-import axios from 'axios';
-import FormData from 'form-data';
-import { IMAGE_GENERATION_PROMPT } from './prompt-initial';
-
-/**
- * Generates the initial texture using Stability AI API
- * @param {string} prompt - The text prompt for texture generation
- * @returns {Promise<string>} Base64 encoded image
- */
-export default async function generateInitialTexture(prompt) {
-  // Create the payload for Stability AI
-  const formData = new FormData();
-  formData.append('prompt', prompt);
-  formData.append('output_format', 'png');
-  formData.append('width', '1024');
-  formData.append('height', '1024');
-  formData.append('cfg_scale', '7');
-  formData.append('steps', '40');
-  formData.append('sampler', 'K_EULER');
-  formData.append('style_preset', 'tile-texture');
-  formData.append('negative_prompt', IMAGE_GENERATION_PROMPT.negative);
-
-  // Call Stability AI API
-  const response = await axios.post(
-    `https://api.stability.ai/v2beta/stable-image/generate/core`,
-    formData,
-    {
-      validateStatus: undefined,
-      responseType: "arraybuffer",
-      headers: { 
-        Authorization: `Bearer ${process.env.STABILITY_API_KEY}`, 
-        Accept: "image/*",
-        ...formData.getHeaders()
-      },
-    }
-  );
-
-  if (response.status !== 200) {
-    const errorMessage = Buffer.from(response.data).toString();
-    throw new Error(`API Error (${response.status}): ${errorMessage}`);
-  }
-
-  // Convert the binary data to base64
-  return Buffer.from(response.data).toString('base64');
-} 
\ No newline at end of file
+import { getPreset } from './presets';
+import { getProvider } from './providers';
+import { withCache } from './cache';
+import { fitToSize } from './resolution';
+
+/**
+ * Provider used for the initial texture when neither the request nor IMAGE_PROVIDER names one
+ */
+export const DEFAULT_INITIAL_PROVIDER = 'stability';
+
+/**
+ * Generates the initial texture with the configured image provider
+ * (Stability AI unless IMAGE_PROVIDER or `options.provider` says otherwise)
+ * @param {string} prompt - The text prompt for texture generation
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Image provider name, see lib/providers
+ * @param {string} [options.negativePrompt] - Negative prompt (defaults to the default preset's)
+ * @param {number} [options.seed] - Generation seed (random when omitted)
+ * @param {number} [options.width=1024] - Width in pixels, any aspect ratio
+ * @param {number} [options.height=1024] - Height in pixels, any aspect ratio
+ * @param {number} [options.cfgScale] - Prompt adherence
+ * @param {number} [options.steps] - Diffusion steps
+ * @param {string} [options.sampler] - Sampler name
+ * @param {string} [options.stylePreset] - Stability style preset
+ * @param {Object} [options.cacheReport] - Collects the stage's cache hits and misses, see lib/cache
+ * @returns {Promise<string>} Base64 encoded image of exactly width x height
+ */
+export default async function generateInitialTexture(prompt, options = {}) {
+  const { width = 1024, height = 1024 } = options;
+  const provider = withCache(getProvider(options.provider, DEFAULT_INITIAL_PROVIDER), {
+    stage: 'initial',
+    report: options.cacheReport
+  });
+
+  console.log(`Generating ${width}x${height} initial texture with ${provider.name}...`);
+
+  const imageBase64 = await provider.textToImage({
+    prompt,
+    negativePrompt: options.negativePrompt ?? getPreset().initial.negative,
+    width,
+    height,
+    guidanceScale: options.cfgScale,
+    steps: options.steps,
+    sampler: options.sampler,
+    stylePreset: options.stylePreset,
+    seed: options.seed
+  });
+
+  // Providers generate the closest size they support natively
+  return fitToSize(imageBase64, width, height);
+}
@@ -0,0 +1,230 @@
+import generateInitialTexture, { DEFAULT_INITIAL_PROVIDER } from './generateInitialTexture';
+import makeImageSeamless from './makeImageSeamless';
+import { BEST_OF_STRATEGY } from './selectBestSeamless';
+import { DEFAULT_SEAMLESS_PROVIDER } from './makeTextureSeamless';
+import { getProvider, getProvidersSupporting, getUpscaleProviders, isProvider, PROVIDERS } from './providers';
+import { getPreset, isPreset, loadPresets } from './presets';
+import { renderTemplate, resolveVariables } from './promptTemplate';
+import expandPrompts, { validateNegativePrompt } from './expandPrompts';
+import { validateWeightedPrompt } from './promptWeights';
+import { checkUpscaleSize, getUpscaleProvider } from './upscaleTileable';
+import { DEFAULT_STRATEGY, isSeamlessStrategy, STRATEGY_NAMES } from './seamless';
+import { randomSeed } from './seeds';
+import { validateGenerationParams } from './generationParams';
+import { validateTags } from './textureLibrary';
+
+/**
+ * Required template variables a preset needs that a request doesn't set
+ * @param {Object} preset - Preset from getPreset
+ * @param {Object} variables - Variables from resolveVariables
+ * @returns {string[]} Variable names
+ */
+function findMissingVariables(preset, variables) {
+  const missing = ['initial', 'seamless'].flatMap((stage) => [
+    ...renderTemplate(preset[stage].positive, variables).missing,
+    ...renderTemplate(preset[stage].negative, variables).missing
+  ]);
+  return [...new Set(missing)];
+}
+
+/**
+ * Validates a generation request body: the prompt, provider overrides,
+ * seamless strategy, prompt weighting, material preset and its template
+ * variables, negative prompt, library tags and every schema field. Shared by /api/generate,
+ * /api/jobs and /api/seamless so all reject the same requests before any work starts.
+ * @param {Object} body - Request body
+ * @param {Object} [options]
+ * @param {string} [options.defaultPrompt] - Prompt used when the body has none; without it the prompt is required
+ * @returns {{request: Object|null, errors: string[]}} The normalized request, or the error messages
+ */
+export function validateGenerationRequest(body = {}, { defaultPrompt } = {}) {
+  const { provider, seamlessProvider, upscaleProvider, strategy, candidates, preset, negativePrompt, negativeMode } = body;
+  // Anything else would be coerced to text further down, or fail with a misleading error
+  if (body.prompt !== undefined && body.prompt !== null && typeof body.prompt !== 'string') {
+    return { request: null, errors: ['prompt must be a string'] };
+  }
+
+  const prompt = body.prompt || defaultPrompt;
+
+  if (!prompt) {
+    return { request: null, errors: ['Prompt is required'] };
+  }
+
+  const errors = [];
+
+  for (const name of [provider, seamlessProvider, upscaleProvider]) {
+    if (name && !isProvider(name)) {
+      errors.push(`Unknown provider "${name}". Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+  }
+
+  if (strategy && strategy !== BEST_OF_STRATEGY && !isSeamlessStrategy(strategy)) {
+    errors.push(`Unknown strategy "${strategy}". Available strategies: ${[...STRATEGY_NAMES, BEST_OF_STRATEGY].join(', ')}`);
+  }
+
+  if (candidates !== undefined &&
+      (!Array.isArray(candidates) || candidates.length === 0 || !candidates.every(isSeamlessStrategy))) {
+    errors.push(`candidates must be a non-empty list of strategies: ${STRATEGY_NAMES.join(', ')}`);
+  }
+
+  // Weighted terms such as (moss:1.3) must be well formed before the providers translate them
+  errors.push(...validateWeightedPrompt(prompt, 'prompt'));
+
+  // Template variables come from structured parts of the prompt and the `variables` object
+  const { variables, errors: variableErrors } = resolveVariables(prompt, body.variables);
+  errors.push(...variableErrors);
+
+  if (preset !== undefined && !isPreset(preset)) {
+    errors.push(`Unknown preset "${preset}". Available presets: ${Object.keys(loadPresets()).join(', ')}`);
+  } else {
+    const missing = findMissingVariables(getPreset(preset), variables);
+    if (missing.length > 0) {
+      errors.push(`Missing prompt variables: ${missing.join(', ')}`);
+    }
+  }
+
+  errors.push(...validateNegativePrompt(body));
+
+  // Tags are stored with the texture in the library
+  const { tags, error: tagError } = validateTags(body.tags);
+  if (tagError) {
+    errors.push(tagError);
+  }
+
+  // Validate the numeric and enum fields against the schema and fill in defaults
+  const { params, errors: paramErrors } = validateGenerationParams(body);
+  errors.push(...paramErrors);
+
+  if (errors.length > 0) {
+    return { request: null, errors };
+  }
+
+  // Only some providers can upscale; catch a missing upscaler before generating anything
+  if (params.upscale > 1) {
+    const upscaler = getUpscaleProvider(upscaleProvider);
+    if (typeof upscaler.upscale !== 'function') {
+      errors.push(`The ${upscaler.name} provider cannot upscale. Set upscaleProvider to one of: ${getUpscaleProviders().join(', ')}`);
+    }
+    const sizeError = checkUpscaleSize(params.width, params.height, params.upscale);
+    if (sizeError) {
+      errors.push(sizeError);
+    }
+    if (errors.length > 0) {
+      return { request: null, errors };
+    }
+  }
+
+  // A sampler the backend doesn't have would be rejected, or silently swapped, by it
+  const generator = getProvider(provider, DEFAULT_INITIAL_PROVIDER);
+  if (generator.samplers && !generator.samplers.includes(params.sampler)) {
+    return {
+      request: null,
+      errors: [`The ${generator.name} provider has no ${params.sampler} sampler. Set sampler to one of: ${generator.samplers.join(', ')}`]
+    };
+  }
+
+  // The sdxl strategy relies on tiling img2img; without it the result wouldn't wrap around its edges
+  const runsSdxl = (strategy || DEFAULT_STRATEGY) === DEFAULT_STRATEGY ||
+    (strategy === BEST_OF_STRATEGY && (candidates || STRATEGY_NAMES).includes(DEFAULT_STRATEGY));
+  if (runsSdxl) {
+    const tiler = getProvider(seamlessProvider || provider, DEFAULT_SEAMLESS_PROVIDER);
+    if (!tiler.supports.tiling) {
+      return {
+        request: null,
+        errors: [`The ${tiler.name} provider can't generate tiling images, which the ${DEFAULT_STRATEGY} strategy needs. Set seamlessProvider to one of: ${getProvidersSupporting('tiling').join(', ')}, or pick another strategy`]
+      };
+    }
+  }
+
+  // Most inpainting backends repaint the whole mask, which would silently ignore denoisingStrength
+  const runsInpaint = strategy === 'quadrant-inpaint' ||
+    (strategy === BEST_OF_STRATEGY && (candidates || STRATEGY_NAMES).includes('quadrant-inpaint'));
+  if (params.denoisingStrength !== undefined && runsInpaint) {
+    const inpainter = getProvider(seamlessProvider || provider, DEFAULT_SEAMLESS_PROVIDER);
+    if (!inpainter.supports.inpaintStrength) {
+      return {
+        request: null,
+        errors: [`The ${inpainter.name} provider ignores denoisingStrength. Leave it out, or set seamlessProvider to one of: ${getProvidersSupporting('inpaintStrength').join(', ')}`]
+      };
+    }
+  }
+
+  return {
+    request: {
+      prompt,
+      provider,
+      seamlessProvider,
+      upscaleProvider,
+      strategy,
+      candidates,
+      preset,
+      variables,
+      negativePrompt,
+      negativeMode,
+      tags,
+      params
+    },
+    errors
+  };
+}
+
+/**
+ * Runs the two-step pipeline: generates the initial texture, makes it
+ * seamless with the requested strategy and scores the result.
+ * @param {Object} request - Normalized request from validateGenerationRequest
+ * @param {Object} [callbacks]
+ * @param {Function} [callbacks.onProgress] - Called with `{stage, message, fallback?, preview?}` as the
+ *   pipeline advances (see makeTextureSeamless); `preview` is a base64 intermediate image
+ * @returns {Promise<Object>} The makeImageSeamless result, with the initial stage's seed, expanded
+ * prompts, model and cache lookups added to `seeds`, `prompts`, `negativePrompts`, `models` and `cache`
+ */
+export default async function generateSeamlessTexture(request, { onProgress = () => {} } = {}) {
+  const { prompt, provider, params } = request;
+
+  // Step 1: Enhance the prompt with the preset's initial texture template
+  const { initial: initialPrompts } = expandPrompts(request);
+
+  // Pick the seed up front so it can always be reported back
+  const initialSeed = params.seed ?? randomSeed();
+
+  // Both stages count their cache hits here, for the response
+  const cacheReport = {};
+
+  console.log("Starting two-step seamless texture generation process...");
+
+  // Generate the initial texture using the first template
+  console.log("Step 1: Generating initial texture...");
+  console.log(`Using initial template with prompt: "${prompt}"`);
+  console.log(`Using seed ${initialSeed}`);
+  onProgress({ stage: 'initial', message: 'Generating initial texture' });
+  const initialTextureBase64 = await generateInitialTexture(initialPrompts.positive, {
+    provider,
+    negativePrompt: initialPrompts.negative,
+    seed: initialSeed,
+    width: params.width,
+    height: params.height,
+    cfgScale: params.cfgScale,
+    steps: params.steps,
+    sampler: params.sampler,
+    stylePreset: params.stylePreset,
+    cacheReport
+  });
+  onProgress({ stage: 'initial', message: 'Initial texture ready', preview: initialTextureBase64 });
+
+  // Step 2: Make the texture seamless using the second template
+  console.log("Step 2: Making texture seamless...");
+  const result = await makeImageSeamless(initialTextureBase64, request, { onProgress, cacheReport });
+
+  console.log("Seamless texture generation complete!");
+  const initialProvider = getProvider(provider, DEFAULT_INITIAL_PROVIDER);
+  return {
+    ...result,
+    prompts: { initial: initialPrompts.positive, ...result.prompts },
+    negativePrompts: { initial: initialPrompts.negative, ...result.negativePrompts },
+    seeds: { initial: initialSeed, ...result.seeds },
+    models: {
+      initial: { provider: initialProvider.name, model: initialProvider.models.textToImage },
+      ...result.models
+    }
+  };
+}
@@ -0,0 +1,193 @@
+/**
+ * Generation history kept in the browser's IndexedDB, so past results survive
+ * reloads. Browser-only: call these from event handlers or effects, never
+ * during server rendering.
+ *
+ * Entries are split over two stores: `entries` holds the small part shown in
+ * the history list (prompt, settings, seeds, a thumbnail), `results` the full
+ * result with its images, read only when an entry is restored or downloaded.
+ */
+
+const DB_NAME = 'seamless-texture-history';
+const DB_VERSION = 1;
+const ENTRIES_STORE = 'entries';
+const RESULTS_STORE = 'results';
+
+/**
+ * Storage cap used until the user sets one (NEXT_PUBLIC_HISTORY_LIMIT_MB, default 100 MB)
+ */
+export const DEFAULT_HISTORY_LIMIT_MB = Number(process.env.NEXT_PUBLIC_HISTORY_LIMIT_MB) || 100;
+
+// Longest side of the thumbnails in the history list
+const THUMBNAIL_SIZE = 96;
+
+let databasePromise = null;
+
+/**
+ * Opens the history database, creating its stores on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        database.createObjectStore(ENTRIES_STORE, { keyPath: 'id' }).createIndex('createdAt', 'createdAt');
+        database.createObjectStore(RESULTS_STORE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} The request's result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolves once a transaction has committed
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('History transaction aborted'));
+  });
+}
+
+/**
+ * Draws a small JPEG thumbnail of an image for the history list
+ * @param {string} imageUrl - Image URL or data URL
+ * @returns {Promise<string|null>} JPEG data URL, or null if the browser can't decode the image
+ */
+function createThumbnail(imageUrl) {
+  return new Promise((resolve) => {
+    const image = new Image();
+    image.onload = () => {
+      const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+      canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL('image/jpeg', 0.7));
+    };
+    image.onerror = () => resolve(null);
+    image.src = imageUrl;
+  });
+}
+
+/**
+ * Lists the history, newest first, without the full results
+ * @returns {Promise<Object[]>} Entries: `{id, createdAt, mode, prompt, preset, negativePrompt, negativeMode,
+ *   params, seeds, seamScore, thumbnail, size}`
+ */
+export async function listHistory() {
+  const database = await openDatabase();
+  const entries = await promisify(database.transaction(ENTRIES_STORE).objectStore(ENTRIES_STORE).getAll());
+  return entries.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Reads the full result of a history entry
+ * @param {string} id - Entry id
+ * @returns {Promise<Object|undefined>} The result as the API returned it
+ */
+export async function getHistoryResult(id) {
+  const database = await openDatabase();
+  return promisify(database.transaction(RESULTS_STORE).objectStore(RESULTS_STORE).get(id));
+}
+
+/**
+ * Deletes a history entry and its result
+ * @param {string} id - Entry id
+ * @returns {Promise<void>}
+ */
+export async function deleteHistoryEntry(id) {
+  const database = await openDatabase();
+  const transaction = database.transaction([ENTRIES_STORE, RESULTS_STORE], 'readwrite');
+  transaction.objectStore(ENTRIES_STORE).delete(id);
+  transaction.objectStore(RESULTS_STORE).delete(id);
+  await transactionDone(transaction);
+}
+
+/**
+ * Deletes the oldest entries until the history fits the storage cap. The
+ * newest entry is always kept, even if it alone is over the cap.
+ * @param {number} limitBytes - Storage cap in bytes
+ * @returns {Promise<void>}
+ */
+export async function enforceHistoryLimit(limitBytes) {
+  const entries = await listHistory();
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+  for (const entry of entries.slice(1).reverse()) {
+    if (total <= limitBytes) break;
+    await deleteHistoryEntry(entry.id);
+    total -= entry.size;
+  }
+}
+
+/**
+ * Creates a unique entry id. crypto.randomUUID only exists in secure contexts,
+ * and the app is also served over plain http on LAN hosts.
+ * @returns {string}
+ */
+function createEntryId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Stores a finished generation, then trims the history to the storage cap
+ * @param {Object} item
+ * @param {string} item.mode - `generate` or `upload`
+ * @param {string} item.prompt - Prompt as typed
+ * @param {string} item.preset - Material preset name
+ * @param {string} item.negativePrompt - Negative prompt as typed
+ * @param {string} item.negativeMode - `merge` or `replace`
+ * @param {Object} item.params - Settings the generation was requested with
+ * @param {Object} item.result - Result as returned by the API (one variation for batches)
+ * @param {number} limitBytes - Storage cap in bytes
+ * @returns {Promise<Object>} The stored list entry
+ */
+export async function addHistoryEntry({ mode, prompt, preset, negativePrompt, negativeMode, params, result }, limitBytes) {
+  const entry = {
+    id: createEntryId(),
+    createdAt: Date.now(),
+    mode,
+    prompt,
+    preset,
+    negativePrompt,
+    negativeMode,
+    params,
+    seeds: result.seeds,
+    seamScore: result.seamScore ? result.seamScore.score : null,
+    thumbnail: await createThumbnail(result.imageUrl),
+    // Data URLs are ASCII, so the JSON length is close to the stored size
+    size: JSON.stringify(result).length
+  };
+
+  const database = await openDatabase();
+  const transaction = database.transaction([ENTRIES_STORE, RESULTS_STORE], 'readwrite');
+  transaction.objectStore(ENTRIES_STORE).put(entry);
+  transaction.objectStore(RESULTS_STORE).put(result, entry.id);
+  await transactionDone(transaction);
+
+  await enforceHistoryLimit(limitBytes);
+  return entry;
+}
@@ -0,0 +1,205 @@
+import { MAX_SEED } from './seeds';
+
+/**
+ * Schema for the numeric and enum fields of a generation request. Shared by
+ * /api/generate (validation and defaults) and the "Advanced settings" panel,
+ * so it must stay free of Node-only imports.
+ *
+ * Field properties:
+ * - `type`: `integer`, `number`, `enum` or `boolean`
+ * - `default`: value used when the field is omitted (no default means "unset")
+ * - `min`/`max`: inclusive range; `multipleOf` for integers that must snap
+ * - `values`: allowed values of an enum
+ * - `stage`: `initial`, `seamless`, `pbr` or `output`; fields with a stage appear in the advanced panel
+ */
+export const GENERATION_PARAMS = {
+  width: {
+    type: 'integer', default: 1024, min: 256, max: 2048, multipleOf: 64, stage: 'initial',
+    label: 'Width', description: 'Texture width in pixels'
+  },
+  height: {
+    type: 'integer', default: 1024, min: 256, max: 2048, multipleOf: 64, stage: 'initial',
+    label: 'Height', description: 'Texture height in pixels'
+  },
+  cfgScale: {
+    type: 'number', default: 7, min: 1, max: 20, step: 0.5, stage: 'initial',
+    label: 'CFG scale', description: 'How closely the initial texture follows the prompt'
+  },
+  steps: {
+    type: 'integer', default: 40, min: 10, max: 100, stage: 'initial',
+    label: 'Steps', description: 'Diffusion steps for the initial texture'
+  },
+  sampler: {
+    type: 'enum', default: 'K_EULER', stage: 'initial',
+    values: ['DDIM', 'DDPM', 'K_DPMPP_2M', 'K_DPMPP_2S_ANCESTRAL', 'K_DPM_2', 'K_DPM_2_ANCESTRAL', 'K_EULER', 'K_EULER_ANCESTRAL', 'K_HEUN', 'K_LMS'],
+    label: 'Sampler', description: 'Sampler for the initial texture'
+  },
+  stylePreset: {
+    type: 'enum', default: 'tile-texture', stage: 'initial',
+    values: ['tile-texture', 'photographic', 'digital-art', '3d-model', 'analog-film', 'cinematic', 'enhance', 'fantasy-art', 'isometric', 'low-poly', 'modeling-compound', 'pixel-art'],
+    label: 'Style preset', description: 'Stability style preset for the initial texture'
+  },
+  promptStrength: {
+    type: 'number', default: 0.05, min: 0, max: 1, step: 0.01, stage: 'seamless',
+    label: 'Prompt strength', description: 'How much the seamless pass may change the texture (more means more stylization)'
+  },
+  guidanceScale: {
+    type: 'number', default: 8, min: 1, max: 20, step: 0.5, stage: 'seamless',
+    label: 'Guidance scale', description: 'How closely the seamless pass follows the prompt'
+  },
+  seamlessSteps: {
+    type: 'integer', default: 50, min: 10, max: 100, stage: 'seamless',
+    label: 'Steps', description: 'Diffusion steps for the seamless pass'
+  },
+  scheduler: {
+    type: 'enum', default: 'DDIM', stage: 'seamless',
+    values: ['DDIM', 'DPMSolverMultistep', 'HeunDiscrete', 'KarrasDPM', 'K_EULER', 'K_EULER_ANCESTRAL', 'PNDM'],
+    label: 'Scheduler', description: 'Scheduler for the seamless pass'
+  },
+  pbr: {
+    type: 'boolean', default: false, stage: 'pbr',
+    label: 'Derive PBR maps', description: 'Also derive height, normal, roughness and AO maps from the seamless texture'
+  },
+  normalStrength: {
+    type: 'number', default: 2, min: 0, max: 20, step: 0.5, stage: 'pbr',
+    label: 'Normal strength', description: 'Slope multiplier of the normal map (0 is flat)'
+  },
+  normalConvention: {
+    type: 'enum', default: 'opengl', values: ['opengl', 'directx'], stage: 'pbr',
+    label: 'Normal convention', description: 'OpenGL (green up: Blender, Unity, Godot) or DirectX (green down: Unreal)'
+  },
+  heightInvert: {
+    type: 'boolean', default: false, stage: 'pbr',
+    label: 'Invert height', description: 'Treat dark areas as raised instead of recessed'
+  },
+  roughnessStrength: {
+    type: 'number', default: 1, min: 0, max: 4, step: 0.1, stage: 'pbr',
+    label: 'Roughness contrast', description: 'Contrast of the roughness map around mid-gray'
+  },
+  roughnessInvert: {
+    type: 'boolean', default: false, stage: 'pbr',
+    label: 'Invert roughness', description: 'Make bright areas rough instead of glossy'
+  },
+  aoStrength: {
+    type: 'number', default: 1, min: 0, max: 4, step: 0.1, stage: 'pbr',
+    label: 'AO strength', description: 'How strongly crevices are darkened in the ambient occlusion map'
+  },
+  upscale: {
+    type: 'enum', default: 1, values: [1, 2, 4], stage: 'output',
+    label: 'Upscale', description: 'Enlarge the seamless texture 2x or 4x with an AI upscaler, keeping it tileable'
+  },
+  format: {
+    type: 'enum', default: 'png', values: ['png', 'jpeg', 'webp', 'avif'], stage: 'output',
+    label: 'Format', description: 'Image format of the texture and its normal, roughness and AO maps'
+  },
+  quality: {
+    type: 'integer', default: 90, min: 1, max: 100, stage: 'output',
+    label: 'Quality', description: 'Compression quality for JPEG, WebP and AVIF (ignored for PNG)'
+  },
+  heightFormat: {
+    type: 'enum', default: 'png16', values: ['png16', 'tiff16', 'png', 'jpeg', 'webp', 'avif'], stage: 'output',
+    label: 'Height map format', description: '16-bit PNG or TIFF keep the height map free of banding; the 8-bit formats are smaller'
+  },
+  maskWidth: {
+    type: 'integer', min: 8, max: 512,
+    description: 'Center cross width for the quadrant-inpaint strategy (default 64)'
+  },
+  denoisingStrength: {
+    type: 'number', min: 0, max: 1,
+    description: 'Inpainting strength for the quadrant-inpaint strategy (default 0.4)'
+  },
+  blendWidth: {
+    type: 'integer', min: 1, max: 1024,
+    description: 'Cross width for the offset-blend strategy'
+  },
+  overlap: {
+    type: 'integer', min: 1, max: 1024,
+    description: 'Crossfade band for the edge-crossfade strategy'
+  },
+  healWidth: {
+    type: 'integer', min: 1, max: 1024,
+    description: 'Edge band for the blur-heal strategy'
+  },
+  tileabilityWeight: {
+    type: 'number', min: 0, max: 1,
+    description: 'Weight of tileability against fidelity in best-of-N mode (default 0.7)'
+  },
+  count: {
+    type: 'integer', min: 1, max: 8,
+    description: 'Number of variations to generate, each with its own seeds (default 1)'
+  },
+  seed: {
+    type: 'integer', min: 0, max: MAX_SEED,
+    description: 'Seed for the initial texture (random when omitted)'
+  },
+  seamlessSeed: {
+    type: 'integer', min: 0, max: MAX_SEED,
+    description: 'Seed for the seamless stage (random when omitted)'
+  }
+};
+
+/**
+ * Default values of every field that has one
+ * @returns {Object}
+ */
+export function getDefaultParams() {
+  return Object.fromEntries(
+    Object.entries(GENERATION_PARAMS)
+      .filter(([, field]) => field.default !== undefined)
+      .map(([name, field]) => [name, field.default])
+  );
+}
+
+/**
+ * Checks one value against its field definition
+ * @param {string} name - Field name
+ * @param {Object} field - Field definition
+ * @param {*} value - Value from the request
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateField(name, field, value) {
+  if (field.type === 'enum') {
+    return field.values.includes(value) ? null : `${name} must be one of: ${field.values.join(', ')}`;
+  }
+  if (field.type === 'boolean') {
+    return typeof value === 'boolean' ? null : `${name} must be true or false`;
+  }
+
+  const isNumber = typeof value === 'number' && Number.isFinite(value);
+  if (!isNumber || (field.type === 'integer' && !Number.isInteger(value))) {
+    return `${name} must be ${field.type === 'integer' ? 'an integer' : 'a number'}`;
+  }
+  if (value < field.min || value > field.max) {
+    return `${name} must be between ${field.min} and ${field.max}`;
+  }
+  if (field.multipleOf && value % field.multipleOf !== 0) {
+    return `${name} must be a multiple of ${field.multipleOf}`;
+  }
+
+  return null;
+}
+
+/**
+ * Validates the schema fields of a request body and fills in defaults.
+ * Fields that are omitted or null take their default (or stay unset).
+ * @param {Object} body - Request body
+ * @returns {{params: Object, errors: string[]}} Validated values and any error messages
+ */
+export function validateGenerationParams(body = {}) {
+  const params = getDefaultParams();
+  const errors = [];
+
+  for (const [name, field] of Object.entries(GENERATION_PARAMS)) {
+    const value = body[name];
+    if (value === undefined || value === null) continue;
+
+    const error = validateField(name, field, value);
+    if (error) {
+      errors.push(error);
+    } else {
+      params[name] = value;
+    }
+  }
+
+  return { params, errors };
+}
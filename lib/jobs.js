@@ -0,0 +1,221 @@
+import { v4 as uuidv4 } from 'uuid';
+import generateSeamlessTexture from './generateSeamlessTexture';
+import generateBatch, { isBatchRequest } from './generateBatch';
+import { makeUploadSeamless } from './uploads';
+import createPreview from './createPreview';
+import { addToLibrary } from './textureLibrary';
+
+/**
+ * How many jobs may run at once (JOB_CONCURRENCY, default 2). Further jobs
+ * wait in a FIFO queue.
+ */
+export const MAX_CONCURRENT_JOBS = Number(process.env.JOB_CONCURRENCY) || 2;
+
+/**
+ * How long a finished job is kept before it is pruned (JOB_TTL_MINUTES, default 60)
+ */
+export const JOB_TTL_MS = (Number(process.env.JOB_TTL_MINUTES) || 60) * 60 * 1000;
+
+// Jobs live in process memory. The store hangs off globalThis so it survives
+// Next's module reloading in development.
+const store = globalThis.__textureJobs || (globalThis.__textureJobs = {
+  jobs: new Map(),
+  queue: [],
+  running: 0
+});
+
+/**
+ * Removes finished jobs older than the TTL
+ */
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [id, job] of store.jobs) {
+    if (job.finishedAt && job.finishedAt < cutoff) {
+      store.jobs.delete(id);
+    }
+  }
+}
+
+/**
+ * Applies changes to a job and stamps the update time
+ * @param {Object} job - Stored job
+ * @param {Object} changes - Fields to overwrite
+ */
+function updateJob(job, changes) {
+  Object.assign(job, changes, { updatedAt: Date.now() });
+}
+
+/**
+ * Sends an event to everyone following a job. A listener that throws (for
+ * example on a closed connection) is dropped rather than failing the job.
+ * @param {Object} job - Stored job
+ * @param {string} type - `stage`, `preview`, `done` or `failed`
+ * @param {Object} data - Event payload
+ */
+function notify(job, type, data) {
+  for (const listener of job.listeners) {
+    try {
+      listener(type, data);
+    } catch (error) {
+      console.error(`Job ${job.id}: dropping listener:`, error);
+      job.listeners.delete(listener);
+    }
+  }
+}
+
+/**
+ * Records a pipeline progress event: the stage goes into the job's event
+ * log, and any intermediate image becomes the job's preview thumbnail
+ * @param {Object} job - Stored job
+ * @param {Object} event - Progress event from generateSeamlessTexture
+ */
+function recordProgress(job, { preview, ...event }) {
+  const entry = { ...event, at: Date.now() };
+  job.events.push(entry);
+  updateJob(job, { stage: event.stage, message: event.message });
+  notify(job, 'stage', entry);
+
+  if (preview) {
+    createPreview(preview)
+      .then((previewUrl) => {
+        // A slow thumbnail must not overwrite the final state
+        if (job.finishedAt) return;
+        updateJob(job, { preview: previewUrl });
+        notify(job, 'preview', { preview: previewUrl, stage: event.stage, message: event.message });
+      })
+      .catch((error) => console.error(`Job ${job.id}: failed to create preview:`, error));
+  }
+}
+
+/**
+ * Picks the pipeline for a request: an uploaded image only goes through the
+ * seamless stage, a request for several variations runs as a batch
+ * @param {Object} request - Normalized request
+ * @returns {Function} Pipeline called as `pipeline(request, callbacks)`
+ */
+function pickPipeline(request) {
+  if (request.image) return makeUploadSeamless;
+  if (isBatchRequest(request)) return generateBatch;
+  return generateSeamlessTexture;
+}
+
+/**
+ * Runs one job through the pipeline, recording each stage as it starts
+ * @param {Object} job - Stored job
+ * @returns {Promise<void>}
+ */
+async function runJob(job) {
+  updateJob(job, { status: 'running' });
+  recordProgress(job, { stage: 'starting', message: 'Starting generation' });
+  console.log(`Job ${job.id}: started`);
+
+  try {
+    const runPipeline = pickPipeline(job.request);
+    const result = await addToLibrary(await runPipeline(job.request, {
+      onProgress: (event) => recordProgress(job, event)
+    }), job.request);
+    updateJob(job, { status: 'complete', stage: 'complete', message: 'Done', result, finishedAt: Date.now() });
+    notify(job, 'done', toJobView(job));
+    console.log(`Job ${job.id}: complete ✓`);
+  } catch (error) {
+    console.error(`Job ${job.id}: failed ❌`, error);
+    updateJob(job, {
+      status: 'failed',
+      error: error.message || 'Failed to generate seamless texture',
+      finishedAt: Date.now()
+    });
+    notify(job, 'failed', toJobView(job));
+  }
+  job.listeners.clear();
+}
+
+/**
+ * Starts queued jobs until the concurrency limit is reached
+ */
+function drainQueue() {
+  while (store.running < MAX_CONCURRENT_JOBS && store.queue.length > 0) {
+    const job = store.queue.shift();
+    store.running++;
+    runJob(job).finally(() => {
+      store.running--;
+      drainQueue();
+    });
+  }
+}
+
+/**
+ * Public view of a job: everything except the request it was created from
+ * and its listeners
+ * @param {Object} job - Stored job
+ * @returns {Object}
+ */
+function toJobView(job) {
+  const { request, listeners, ...view } = job;
+  if (job.status === 'queued') {
+    view.queuePosition = store.queue.indexOf(job) + 1;
+  }
+  return view;
+}
+
+/**
+ * Queues a validated generation request and returns right away
+ * @param {Object} request - Normalized request from validateGenerationRequest,
+ *   with `image` from prepareUpload for uploads
+ * @returns {Object} The new job's public view
+ */
+export function createJob(request) {
+  pruneJobs();
+
+  const now = Date.now();
+  const job = {
+    id: uuidv4(),
+    status: 'queued',
+    stage: 'queued',
+    message: 'Waiting for a free worker',
+    events: [],
+    preview: null,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    request,
+    listeners: new Set()
+  };
+
+  store.jobs.set(job.id, job);
+  store.queue.push(job);
+  drainQueue();
+
+  return toJobView(job);
+}
+
+/**
+ * Looks up a job
+ * @param {string} id - Job id
+ * @returns {Object|null} The job's public view, or null if it is unknown or expired
+ */
+export function getJob(id) {
+  pruneJobs();
+  const job = store.jobs.get(id);
+  return job ? toJobView(job) : null;
+}
+
+/**
+ * Follows a job's progress. The listener is called as `listener(type, data)`
+ * with `stage` and `preview` events while the job runs, then once with
+ * `done` or `failed` carrying the job's final view. Nothing is replayed:
+ * read the current state with getJob first.
+ * @param {string} id - Job id
+ * @param {Function} listener - Event listener
+ * @returns {Function|null} Unsubscribe function, or null if the job is unknown or already finished
+ */
+export function subscribeToJob(id, listener) {
+  const job = store.jobs.get(id);
+  if (!job || job.finishedAt) {
+    return null;
+  }
+
+  job.listeners.add(listener);
+  return () => job.listeners.delete(listener);
+}
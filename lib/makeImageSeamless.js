@@ -0,0 +1,183 @@
+import makeTextureSeamless, { DEFAULT_SEAMLESS_PROVIDER } from './makeTextureSeamless';
+import derivePbrMaps, { PBR_OPTION_NAMES } from './derivePbrMaps';
+import { convertToDataUrl } from './convertImage';
+import scoreSeams from './scoreSeams';
+import selectBestSeamless, { BEST_OF_STRATEGY } from './selectBestSeamless';
+import upscaleTileable, { getUpscaleProvider } from './upscaleTileable';
+import { getProvider } from './providers';
+import expandPrompts from './expandPrompts';
+import { DEFAULT_STRATEGY, OFFLINE_STRATEGIES, STRATEGY_PROVIDER_METHODS } from './seamless';
+import { randomSeed } from './seeds';
+
+/**
+ * Runs the seamless stage on an existing image: makes it seamless with the
+ * requested strategy (or the best of several) and scores the result. Used for
+ * generated textures and uploaded photos alike.
+ * @param {string} imageBase64 - Base64 encoded input image
+ * @param {Object} request - Normalized request from validateGenerationRequest
+ * @param {Object} [callbacks]
+ * @param {Function} [callbacks.onProgress] - Progress callback, see generateSeamlessTexture
+ * @param {Object} [callbacks.cacheReport] - Cache report to add this stage's hits and misses to
+ * @returns {Promise<Object>} `{imageUrl, prompt, preset, variables, prompts: {seamless}, negativePrompts: {seamless}, seeds: {seamless}, models: {seamless},
+ * strategy, fallbacks, seamScore, cache}`, plus `ranking` in best-of-N mode, and `maps` (data URLs by map
+ * name) with the `pbrSettings` that shaped them when `params.pbr` is set. Images are encoded as
+ * `params.format`, except the height map, which uses `params.heightFormat`. When `params.upscale` is
+ * above 1 the texture is upscaled before the maps are derived; `upscale` then reports the factor and
+ * the seam score before upscaling, and `seamScore` and `models.upscale` describe the upscaled result. `fallbacks` lists the fallback
+ * paths that were taken, in order; `models.seamless` is null when no AI pass shaped the result.
+ * `cache` counts the provider calls served from the cache (`hits`) and sent to the backend (`misses`)
+ * by stage, leaving out stages with no cacheable calls (see lib/cache).
+ */
+export default async function makeImageSeamless(imageBase64, request, { onProgress = () => {}, cacheReport = {} } = {}) {
+  const { prompt, provider, seamlessProvider, upscaleProvider, strategy, candidates, negativeMode, params } = request;
+
+  // Remember every fallback so the result says which path produced the texture
+  const fallbacks = [];
+  const reportProgress = (event) => {
+    if (event.fallback) {
+      fallbacks.push({ strategy: event.strategy, fallback: event.fallback });
+    }
+    onProgress(event);
+  };
+
+  // Enhance the prompt with the preset's seamless texture template
+  const { preset, seamless: seamlessPrompts } = expandPrompts(request);
+  const seamlessPrompt = seamlessPrompts.positive;
+  const seeds = { seamless: params.seamlessSeed ?? randomSeed() };
+
+  console.log(`Using seamless template with prompt: "${prompt}"`);
+  reportProgress({ stage: 'seamless', message: 'Making texture seamless' });
+
+  const seamlessOptions = {
+    provider: seamlessProvider || provider,
+    strategy,
+    seed: seeds.seamless,
+    negativePrompt: seamlessPrompts.negative,
+    negativeMode,
+    promptStrength: params.promptStrength,
+    guidanceScale: params.guidanceScale,
+    steps: params.seamlessSteps,
+    scheduler: params.scheduler,
+    maskWidth: params.maskWidth,
+    denoisingStrength: params.denoisingStrength,
+    blendWidth: params.blendWidth,
+    overlap: params.overlap,
+    healWidth: params.healWidth,
+    cacheReport,
+    onProgress: reportProgress
+  };
+
+  let seamlessTextureBase64;
+  let seamScore;
+  let selection = null;
+
+  if (strategy === BEST_OF_STRATEGY) {
+    // Run several strategies and keep the best-scoring result
+    selection = await selectBestSeamless(imageBase64, seamlessPrompt, {
+      ...seamlessOptions,
+      candidates,
+      tileabilityWeight: params.tileabilityWeight
+    });
+    seamlessTextureBase64 = selection.image;
+    seamScore = selection.ranking[0].seamScore;
+  } else {
+    // Pass the base64 texture and the prompt with the seamless template
+    seamlessTextureBase64 = await makeTextureSeamless(imageBase64, seamlessPrompt, seamlessOptions);
+
+    // Check that the result actually tiles, so callers can reject bad outputs
+    reportProgress({ stage: 'scoring', message: 'Scoring seams' });
+    seamScore = await scoreSeams(seamlessTextureBase64);
+  }
+  console.log(`Seam score: ${seamScore.score} (${seamScore.tileable ? 'tileable' : 'visible seams'})`);
+
+  // Offline strategies never use the seamless seed
+  const usedStrategy = (selection && selection.strategy) || strategy || DEFAULT_STRATEGY;
+  if (OFFLINE_STRATEGIES.includes(usedStrategy)) {
+    seeds.seamless = null;
+  }
+
+  // In best-of-N mode only the winner's fallbacks describe the returned texture
+  const usedFallbacks = fallbacks
+    .filter((entry) => !entry.strategy || entry.strategy === usedStrategy)
+    .map((entry) => entry.fallback);
+
+  // Report the model only if an AI pass produced the result, not an offline fallback
+  const method = STRATEGY_PROVIDER_METHODS[usedStrategy];
+  const aiPassUsed = usedFallbacks.length === 0 || usedFallbacks[usedFallbacks.length - 1] === 'mirror';
+  const seamlessProviderUsed = getProvider(seamlessProvider || provider, DEFAULT_SEAMLESS_PROVIDER);
+  const seamlessModel = method && aiPassUsed
+    ? { provider: seamlessProviderUsed.name, model: seamlessProviderUsed.models[method] }
+    : null;
+
+  // Upscale the finished texture, then check that the seams survived
+  let upscale = null;
+  let upscaleModel = null;
+  if (params.upscale > 1) {
+    const upscaled = await upscaleTileable(seamlessTextureBase64, {
+      provider: upscaleProvider,
+      scale: params.upscale,
+      cacheReport,
+      onProgress: reportProgress
+    });
+    if (upscaled.fallback) {
+      usedFallbacks.push(upscaled.fallback);
+    } else {
+      const upscaler = getUpscaleProvider(upscaleProvider);
+      upscaleModel = { provider: upscaler.name, model: upscaler.models.upscale };
+    }
+
+    reportProgress({ stage: 'scoring', message: 'Re-scoring seams after upscaling' });
+    upscale = { scale: params.upscale, seamScoreBefore: seamScore };
+    seamlessTextureBase64 = upscaled.image;
+    seamScore = await scoreSeams(seamlessTextureBase64);
+    console.log(`Seam score after upscaling: ${seamScore.score} (was ${upscale.seamScoreBefore.score})`);
+  }
+
+  let maps = null;
+  if (params.pbr) {
+    reportProgress({ stage: 'pbr', message: 'Deriving PBR maps' });
+    maps = await encodeMaps(await derivePbrMaps(seamlessTextureBase64, params), params);
+  }
+
+  return {
+    imageUrl: await convertToDataUrl(seamlessTextureBase64, { format: params.format, quality: params.quality }),
+    prompt,
+    preset,
+    variables: request.variables,
+    prompts: { seamless: seamlessPrompt },
+    negativePrompts: { seamless: seamlessPrompts.negative },
+    seamScore,
+    seeds,
+    models: { seamless: seamlessModel, ...(upscale && { upscale: upscaleModel }) },
+    strategy: usedStrategy,
+    fallbacks: usedFallbacks,
+    cache: cacheReport,
+    ...(selection && { ranking: selection.ranking }),
+    ...(upscale && { upscale }),
+    ...(maps && { maps, pbrSettings: pickPbrSettings(params) })
+  };
+}
+
+/**
+ * The options that shaped a set of PBR maps
+ * @param {Object} params - Validated parameters
+ * @returns {Object}
+ */
+export function pickPbrSettings(params) {
+  return Object.fromEntries(PBR_OPTION_NAMES.map((name) => [name, params[name]]));
+}
+
+/**
+ * Encodes derived maps in the requested output formats: the height map as
+ * `heightFormat`, the others as `format`
+ * @param {Object} maps - Base64 PNGs by map name, from derivePbrMaps
+ * @param {Object} params - Validated parameters
+ * @returns {Promise<Object>} Data URLs by map name
+ */
+export async function encodeMaps(maps, params) {
+  const entries = await Promise.all(Object.entries(maps).map(async ([name, base64]) => {
+    const format = name === 'height' ? params.heightFormat : params.format;
+    return [name, await convertToDataUrl(base64, { format, quality: params.quality })];
+  }));
+  return Object.fromEntries(entries);
+}
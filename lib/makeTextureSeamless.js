@@ -3,9 +3,12 @@ import path from 'path';
 import sharp from 'sharp';
 import { promisify } from 'util';
 import { v4 as uuidv4 } from 'uuid';
-import replicate from 'replicate';
-import axios from 'axios';
-import { TEXTURE_INPAINTING_PROMPT } from './prompt-seamless';
+import { getProvider } from './providers';
+import { withCache } from './cache';
+import { getPreset } from './presets';
+import { mergeNegatives } from './expandPrompts';
+import { DEFAULT_STRATEGY, SEAMLESS_STRATEGIES } from './seamless';
+import resizeTileable from './resizeTileable';
 
 // Create temp directory that works in both local development and Vercel serverless
 // Vercel only allows writing to /tmp
@@ -24,6 +27,17 @@ if (!fs.existsSync(tempDir)) {
   }
 }
 
+/**
+ * Provider used for the AI passes when neither the request nor IMAGE_PROVIDER names one
+ */
+export const DEFAULT_SEAMLESS_PROVIDER = 'replicate';
+
+/**
+ * Terms the SDXL passes add to the prompt and, unless negatives are replaced, to the negative prompt
+ */
+export const SDXL_TILING_PROMPT = 'seamless tileable texture, perfect tiling pattern';
+export const SDXL_TILING_NEGATIVE = 'seams, edges, borders, discontinuity';
+
 /**
  * Safely delete a file if it exists
  * @param {string} filePath - Path to the file to delete
@@ -40,12 +54,47 @@ function safelyDeleteFile(filePath) {
 }
 
 /**
- * Makes a texture seamless using mirror-based algorithm
+ * Makes a texture seamless at the input's own size and aspect ratio. The default
+ * `sdxl` strategy tries direct SDXL tiling, then a mirror-based algorithm, and
+ * falls back to offline blending if everything fails. Any other strategy from
+ * lib/seamless runs on its own and throws on failure.
  * @param {string} inputImageBase64 - Base64 encoded input image
  * @param {string} prompt - The texture prompt
+ * @param {Object} [options]
+ * @param {string} [options.strategy='sdxl'] - Seamless strategy name, see lib/seamless
+ * @param {string} [options.provider] - Image provider for the AI passes (defaults to Replicate)
+ * @param {number} [options.seed] - Seed for the AI passes (random when omitted)
+ * @param {string} [options.negativePrompt] - Negative prompt of the AI passes (defaults to the default preset's)
+ * @param {string} [options.negativeMode] - `replace` keeps the SDXL passes from adding their own negative terms
+ * @param {number} [options.promptStrength] - How much the SDXL passes may change the texture
+ * @param {number} [options.guidanceScale] - Prompt adherence of the SDXL passes
+ * @param {number} [options.steps] - Diffusion steps of the SDXL passes
+ * @param {string} [options.scheduler] - Scheduler of the SDXL passes
+ * @param {number} [options.maskWidth] - Center cross width for `quadrant-inpaint`
+ * @param {number} [options.denoisingStrength] - Inpainting strength for `quadrant-inpaint`
+ * @param {Object} [options.cacheReport] - Collects the AI passes' cache hits and misses, see lib/cache
+ * @param {Function} [options.onProgress] - Called with `{stage, message, fallback?, preview?}` as the
+ *   pipeline advances; `fallback` names the path taken when a pass fails, `preview` is a base64 intermediate
  * @returns {Promise<string>} Base64 encoded seamless texture
  */
-export default async function makeTextureSeamless(inputImageBase64, prompt) {
+export default async function makeTextureSeamless(inputImageBase64, prompt, options = {}) {
+  const { strategy = DEFAULT_STRATEGY, onProgress = () => {} } = options;
+  const provider = withCache(getProvider(options.provider, DEFAULT_SEAMLESS_PROVIDER), {
+    stage: 'seamless',
+    report: options.cacheReport
+  });
+
+  if (strategy !== DEFAULT_STRATEGY) {
+    const runStrategy = SEAMLESS_STRATEGIES[strategy];
+    if (!runStrategy) {
+      throw new Error(`Unknown seamless strategy "${strategy}"`);
+    }
+
+    console.log(`Making texture seamless with the ${strategy} strategy...`);
+    onProgress({ stage: 'seamless', message: `Running the ${strategy} strategy` });
+    return runStrategy(inputImageBase64, prompt, { ...options, provider });
+  }
+
   // Create a unique session ID for this operation
   const sessionId = uuidv4();
   
@@ -92,30 +141,16 @@ export default async function makeTextureSeamless(inputImageBase64, prompt) {
     
     console.log(`Processing image: ${width}x${height}`);
     
-    if (width !== height) {
-      console.log("Image is not square, cropping to square...");
-      const size = Math.min(width, height);
-      const left = Math.floor((width - size) / 2);
-      const top = Math.floor((height - size) / 2);
-      
-      inputBuffer = await sharp(inputPath)
-        .extract({ left, top, width: size, height: size })
-        .toFormat('png')
-        .toBuffer();
-        
-      await writeFile(inputPath, inputBuffer);
-      
-      // Update dimensions
-      const newInfo = await sharp(inputPath).metadata();
-      console.log(`New dimensions after cropping: ${newInfo.width}x${newInfo.height}`);
-    }
+    // Every pass works at the input's own size and aspect ratio
+    const passOptions = { ...options, width, height };
     
     // DIRECT SDXL APPROACH FIRST - more compatible with serverless
     try {
       console.log("Using SDXL with tiling for seamless texture...");
+      onProgress({ stage: 'enhance', message: `Enhancing with ${provider.name} tiling (direct)` });
       
       // Try SDXL directly first - better for Vercel as it reduces file operations
-      const enhancedBase64 = await enhanceWithSDXL(inputImageBase64, prompt, true);
+      const enhancedBase64 = await enhanceWithSDXL(inputImageBase64, prompt, provider, passOptions, true);
       
       // Clean up temp files
       cleanupFiles(filesToCleanup);
@@ -124,16 +159,16 @@ export default async function makeTextureSeamless(inputImageBase64, prompt) {
     } catch (sdxlError) {
       console.error("Direct SDXL tiling failed:", sdxlError);
       console.log("Falling back to mirror-based algorithm...");
+      onProgress({
+        stage: 'mirror',
+        message: 'Direct tiling failed, falling back to the mirror-based algorithm',
+        fallback: 'mirror'
+      });
       
       // MIRROR-BASED ALGORITHM AS FALLBACK
       try {
         console.log("Step 1: Creating mirrored versions of the image");
         
-        // Get current dimensions after possible cropping
-        const currentInfo = await sharp(inputPath).metadata();
-        const currentWidth = currentInfo.width;
-        const currentHeight = currentInfo.height;
-        
         // 1. Create horizontal mirror (flop)
         const mirrorHorizontal = await sharp(inputPath)
           .flop()
@@ -157,17 +192,17 @@ export default async function makeTextureSeamless(inputImageBase64, prompt) {
         // 4. Create a 2x2 canvas with mirrored versions
         const mirroredCanvas = await sharp({
           create: {
-            width: currentWidth * 2,
-            height: currentHeight * 2,
+            width: width * 2,
+            height: height * 2,
             channels: 4,
             background: { r: 0, g: 0, b: 0, alpha: 255 }
           }
         })
           .composite([
             { input: inputBuffer, top: 0, left: 0 },
-            { input: mirrorHorizontal, top: 0, left: currentWidth },
-            { input: mirrorVertical, top: currentHeight, left: 0 },
-            { input: mirrorBoth, top: currentHeight, left: currentWidth }
+            { input: mirrorHorizontal, top: 0, left: width },
+            { input: mirrorVertical, top: height, left: 0 },
+            { input: mirrorBoth, top: height, left: width }
           ])
           .toFormat('png')
           .toBuffer();
@@ -177,10 +212,10 @@ export default async function makeTextureSeamless(inputImageBase64, prompt) {
         // 5. Extract the center portion which should now be seamless
         const seamless = await sharp(mirroredCanvas)
           .extract({
-            left: Math.floor(currentWidth / 2),
-            top: Math.floor(currentHeight / 2),
-            width: currentWidth,
-            height: currentHeight
+            left: Math.floor(width / 2),
+            top: Math.floor(height / 2),
+            width: width,
+            height: height
           })
           .toFormat('png')
           .toBuffer();
@@ -189,13 +224,15 @@ export default async function makeTextureSeamless(inputImageBase64, prompt) {
         
         // Convert mirror-processed image to base64
         const mirrorProcessedBase64 = seamless.toString('base64');
+        onProgress({ stage: 'mirror', message: 'Created mirror-based seamless texture', preview: mirrorProcessedBase64 });
         
         // Try to enhance with SDXL
         try {
           console.log("Step 4: Enhancing with SDXL while maintaining seamlessness");
+          onProgress({ stage: 'enhance', message: `Enhancing the mirrored texture with ${provider.name}` });
           
           // Enhance the seamless texture with SDXL
-          const enhancedBase64 = await enhanceWithSDXL(mirrorProcessedBase64, prompt, false);
+          const enhancedBase64 = await enhanceWithSDXL(mirrorProcessedBase64, prompt, provider, passOptions, false);
           
           // Clean up temp files
           cleanupFiles(filesToCleanup);
@@ -203,12 +240,12 @@ export default async function makeTextureSeamless(inputImageBase64, prompt) {
           return enhancedBase64;
         } catch (enhanceError) {
           console.error("SDXL enhancement failed:", enhanceError);
-          console.log("Returning mirror-based result without SDXL enhancement");
           
           // Clean up temp files
           cleanupFiles(filesToCleanup);
           
-          return mirrorProcessedBase64;
+          // The unenhanced mirror result is visibly kaleidoscopic, so blend the input locally instead
+          return offlineFallback(inputBuffer.toString('base64'), onProgress);
         }
       } catch (mirrorError) {
         console.error("Mirror algorithm failed:", mirrorError);
@@ -216,9 +253,7 @@ export default async function makeTextureSeamless(inputImageBase64, prompt) {
         // Clean up any lingering files
         cleanupFiles(filesToCleanup);
         
-        // Return original as last resort
-        console.log("❌ All methods failed, returning original image");
-        return inputImageBase64;
+        return offlineFallback(inputImageBase64, onProgress);
       }
     }
   } catch (error) {
@@ -228,10 +263,31 @@ export default async function makeTextureSeamless(inputImageBase64, prompt) {
     cleanupFiles(filesToCleanup);
     
     // Return original in case of any error
+    onProgress({ stage: 'fallback', message: 'Seamless processing failed, returning the original texture', fallback: 'original' });
     return inputImageBase64;
   }
 }
 
+/**
+ * Last-resort fallback when every AI path failed: the offline offset-blend
+ * strategy, or the original image if even that fails
+ * @param {string} imageBase64 - Base64 encoded image
+ * @param {Function} onProgress - Progress callback, see makeTextureSeamless
+ * @returns {Promise<string>} Base64 encoded texture
+ */
+async function offlineFallback(imageBase64, onProgress) {
+  try {
+    console.log("Falling back to offline offset-blend strategy");
+    onProgress({ stage: 'fallback', message: 'AI passes failed, falling back to offline offset-blend', fallback: 'offset-blend' });
+    return await SEAMLESS_STRATEGIES['offset-blend'](imageBase64);
+  } catch (fallbackError) {
+    console.error("Offline offset-blend failed:", fallbackError);
+    console.log("❌ All methods failed, returning original image");
+    onProgress({ stage: 'fallback', message: 'All methods failed, returning the original texture', fallback: 'original' });
+    return imageBase64;
+  }
+}
+
 /**
  * Helper function to clean up all temporary files
  * @param {string[]} files - Array of file paths to clean up
@@ -252,74 +308,54 @@ function cleanupFiles(files) {
  * Enhance a texture with SDXL, ensuring it's seamless
  * @param {string} imageBase64 - Base64 encoded image
  * @param {string} prompt - The texture prompt (already enhanced with template)
+ * @param {Object} provider - Image provider that runs the image-to-image pass
+ * @param {Object} params - Seed and sampling settings (see makeTextureSeamless) plus the input's width and height
  * @param {boolean} isDirect - Whether this is a direct enhancement or post-mirror
  * @returns {Promise<string>} Enhanced base64 encoded seamless texture
  */
-async function enhanceWithSDXL(imageBase64, prompt, isDirect = false) {
+async function enhanceWithSDXL(imageBase64, prompt, provider, params, isDirect = false) {
+  const {
+    seed,
+    width = 1024,
+    height = 1024,
+    negativePrompt = getPreset().seamless.negative,
+    negativeMode,
+    promptStrength = 0.05,
+    guidanceScale = 8,
+    steps = 50,
+    scheduler = "DDIM"
+  } = params;
+
   try {
-    if (!process.env.REPLICATE_API_TOKEN) {
-      throw new Error('REPLICATE_API_TOKEN environment variable is not set');
+    if (!provider.supports.tiling) {
+      throw new Error(`The ${provider.name} provider can't generate tiling images`);
     }
-    
-    console.log(`Enhancing with SDXL (${isDirect ? 'direct' : 'post-mirror'})...`);
-    
-    const replicateClient = new replicate({
-      auth: process.env.REPLICATE_API_TOKEN
-    });
+
+    console.log(`Enhancing with ${provider.name} (${isDirect ? 'direct' : 'post-mirror'})...`);
     
     // Add critical seamless texture keywords
-    const enhancedPrompt = `${prompt}, seamless tileable texture, perfect tiling pattern`;
+    const enhancedPrompt = `${prompt}, ${SDXL_TILING_PROMPT}`;
     
-    // Different parameters depending on whether this is direct or post-mirror
-    const params = isDirect ? {
+    const enhancedBase64 = await provider.imageToImage({
+      image: imageBase64,
       prompt: enhancedPrompt,
-      negative_prompt: TEXTURE_INPAINTING_PROMPT.negative + ", seams, edges, borders, discontinuity",
-      image: `data:image/png;base64,${imageBase64}`,
-      width: 1024,
-      height: 1024,
-      num_outputs: 1,
-      scheduler: "DDIM",
-      num_inference_steps: 50,
-      guidance_scale: 8,
-      prompt_strength: 0.05, // Lower for direct - preserve more of the original
-      refine: "expert_ensemble_refiner",
-      high_noise_frac: 0.8,
-      tiling: true
-    } : {
-      prompt: enhancedPrompt,
-      negative_prompt: TEXTURE_INPAINTING_PROMPT.negative + ", seams, edges, borders, discontinuity",
-      image: `data:image/png;base64,${imageBase64}`,
-      width: 1024,
-      height: 1024,
-      num_outputs: 1,
-      scheduler: "DDIM",
-      num_inference_steps: 50,
-      guidance_scale: 8,
-      prompt_strength: 0.05, // Already mirror-processed, just enhance
-      refine: "expert_ensemble_refiner",
-      high_noise_frac: 0.8,
-      tiling: true
-    };
+      negativePrompt: negativeMode === 'replace' ? negativePrompt : mergeNegatives(negativePrompt, SDXL_TILING_NEGATIVE),
+      width,
+      height,
+      scheduler,
+      steps,
+      guidanceScale,
+      // Low strength preserves the original; post-mirror input is already seamless, just enhance
+      strength: promptStrength,
+      tiling: true,
+      seed
+    });
     
-    const output = await replicateClient.run(
-      "stability-ai/sdxl:39ed52f2a78e934b3ba6e2a89f5b1c712de7dfea535525255b1aa35c5565e08b",
-      { input: params }
-    );
+    console.log("Successfully generated SDXL image with tiling");
     
-    if (Array.isArray(output) && output.length > 0) {
-      const imageUrl = output[0];
-      console.log("Successfully generated SDXL image with tiling");
-      
-      try {
-        const response = await axios.get(imageUrl, { responseType: 'arraybuffer' });
-        return Buffer.from(response.data).toString('base64');
-      } catch (axiosError) {
-        console.error('Error downloading image from Replicate:', axiosError);
-        throw new Error('Failed to download image from Replicate');
-      }
-    } else {
-      throw new Error('No output image received from SDXL generation');
-    }
+    // Stretch rather than crop back to the input size, wrapping around the edges so the tiling survives
+    const resized = await resizeTileable(enhancedBase64, width, height);
+    return resized.toString('base64');
   } catch (error) {
     console.error('Error enhancing with SDXL:', error);
     throw error;
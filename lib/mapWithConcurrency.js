@@ -0,0 +1,27 @@
+/**
+ * Maps items through an async function with at most `limit` calls in flight.
+ * Like Promise.allSettled, a rejected item doesn't stop the others.
+ * @param {Array} items - Items to map
+ * @param {number} limit - Largest number of concurrent calls
+ * @param {Function} mapper - Called as `mapper(item, index)`, returns a promise
+ * @returns {Promise<Object[]>} Settled outcomes in item order: `{status: 'fulfilled', value}` or `{status: 'rejected', reason}`
+ */
+export default async function mapWithConcurrency(items, limit, mapper) {
+  const outcomes = new Array(items.length);
+  let next = 0;
+
+  // Each worker keeps taking the next item until none are left
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        outcomes[index] = { status: 'fulfilled', value: await mapper(items[index], index) };
+      } catch (reason) {
+        outcomes[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return outcomes;
+}
@@ -0,0 +1,185 @@
+/**
+ * Optional details shared by every preset; each part only appears when the
+ * request sets that variable
+ */
+const DETAILS = '{{#color}}, ${color}{{/color}}{{#weathering}}, ${weathering} weathering{{/weathering}}' +
+  '{{#scale}}, ${scale} scale{{/scale}}{{#style}}, ${style} style{{/style}}';
+
+/**
+ * Material presets that ship with the app. Each has positive and negative
+ * templates (see lib/promptTemplate.js) for the initial stage (text to image)
+ * and the seamless stage (image to image and inpainting).
+ */
+export const BUILTIN_PRESETS = {
+  generic: {
+    label: 'Generic',
+    description: 'Any material; the prompt decides what it looks like',
+    initial: {
+      positive: `Seamless texture, infinite tiling, perfectly repeating pattern of \${material}${DETAILS},
+                 flawless tileable design, no visible edges or seams, mirrored edges, uniform texture, uniform lighting,
+                 infinite canvas illusion, straight-down top-down view, consistent lighting and scale,
+                 ultra-detailed texture, PBR material quality, high-resolution material texture,
+                 even distribution, uniform pattern throughout, loopable, evenly spaced features,
+                 subtle natural transitions, texture should flow continuously when tiled,
+                 ideal for 3D texture mapping, professional quality, suitable for game assets`,
+      negative: `blurry, bad quality, distorted, seams, borders, edges, mismatch, pattern ends,
+                 tile mismatch, cut-off texture, texture edges visible, border artifacts,
+                 harsh lines, non-looping, break in pattern, abrupt transitions, focal points,
+                 unique elements, shadows, uneven lighting, perspective, depth, 3D effect,
+                 asymmetrical, distinct features, watermark, signature, text, logo,
+                 irregular pattern, non-repeating elements, bad anatomy, mutation, deformed`
+    },
+    seamless: {
+      positive: `Blend the seams of this \${material} texture${DETAILS}, create perfect continuity across edges,
+                 maintain consistent material details, uniform texture density, preserve the original texture characteristics,
+                 ensure pattern flows naturally between borders, photorealistic material surface,
+                 imperceptible transitions, tileable result`,
+      negative: `new details, different pattern, changing the texture, altering colors significantly,
+                 creating borders, adding shadows, introducing noise, distortion, blurriness,
+                 watermark, text, irregular elements, focal points, depth, perspective effects`
+    }
+  },
+
+  wood: {
+    label: 'Wood',
+    description: 'Planks, boards, bark and other wood surfaces',
+    initial: {
+      positive: `Seamless tileable wood texture of \${material}${DETAILS}, top-down orthographic view,
+                 natural wood grain running continuously, consistent plank width and spacing,
+                 realistic knots and growth rings spread evenly, flat diffuse lighting,
+                 PBR albedo quality, high-resolution material scan, repeating pattern,
+                 suitable for game assets and architectural visualization`,
+      negative: `seams, visible tile edges, borders, grain ending abruptly, mismatched planks,
+                 perspective, vanishing point, furniture, objects, shadows, specular highlights,
+                 uneven lighting, vignette, focal points, single large knot, blurry,
+                 watermark, text, logo, cartoon, painting`
+    },
+    seamless: {
+      positive: `Blend the seams of this \${material} wood texture${DETAILS}, continue the wood grain across the edges,
+                 keep plank lines straight and evenly spaced, preserve the grain direction,
+                 color and knot density, imperceptible transitions, tileable result`,
+      negative: `new knots at the seams, broken grain, plank misalignment, changing the wood species,
+                 altering colors, creating borders, adding shadows, blurriness, distortion,
+                 watermark, text, perspective`
+    }
+  },
+
+  stone: {
+    label: 'Stone',
+    description: 'Rock, cobblestone, slate, marble and masonry',
+    initial: {
+      positive: `Seamless tileable stone texture of \${material}${DETAILS}, top-down orthographic view,
+                 evenly distributed stones of consistent size, natural mineral variation,
+                 realistic cracks and pores, uniform mortar or gaps where present,
+                 flat diffuse lighting, photogrammetry quality, PBR albedo,
+                 high-resolution material scan, repeating pattern, suitable for game assets`,
+      negative: `seams, visible tile edges, borders, stones cut off at the edges,
+                 one oversized stone, perspective, depth, wall corner, horizon,
+                 strong shadows, uneven lighting, vignette, focal points, moss patches unless requested,
+                 blurry, watermark, text, logo, cartoon`
+    },
+    seamless: {
+      positive: `Blend the seams of this \${material} stone texture${DETAILS}, continue stones and cracks across the edges,
+                 keep stone size, shape and spacing consistent, preserve mineral color variation,
+                 imperceptible transitions, tileable result`,
+      negative: `half stones at the seams, doubled mortar lines, new large features, changing the stone type,
+                 altering colors, creating borders, adding shadows, blurriness, distortion,
+                 watermark, text, perspective`
+    }
+  },
+
+  metal: {
+    label: 'Metal',
+    description: 'Brushed, painted, rusted or worn metal sheets',
+    initial: {
+      positive: `Seamless tileable metal texture of \${material}${DETAILS}, top-down orthographic view,
+                 flat metal surface, consistent brushing or finish direction,
+                 evenly spread scratches, wear, oxidation and rust,
+                 flat diffuse lighting without reflections, PBR albedo quality,
+                 high-resolution material scan, repeating pattern, suitable for game assets`,
+      negative: `seams, visible tile edges, borders, reflections, environment reflections,
+                 specular hotspots, chrome mirror, bolts or panels unless requested, perspective,
+                 depth, uneven lighting, vignette, focal points, single large dent,
+                 blurry, watermark, text, logo, cartoon`
+    },
+    seamless: {
+      positive: `Blend the seams of this \${material} metal texture${DETAILS}, continue the brushing direction
+                 and scratches across the edges, keep wear and rust evenly spread,
+                 preserve the finish and color, imperceptible transitions, tileable result`,
+      negative: `reflections, hotspots, new dents at the seams, changing the finish,
+                 altering colors, creating borders, adding shadows, blurriness, distortion,
+                 watermark, text, perspective`
+    }
+  },
+
+  fabric: {
+    label: 'Fabric',
+    description: 'Woven and knitted textiles, leather and carpet',
+    initial: {
+      positive: `Seamless tileable fabric texture of \${material}${DETAILS}, top-down orthographic view,
+                 flat laid cloth, regular weave or knit structure with consistent thread size,
+                 even pattern repeat, visible fibers, flat diffuse lighting,
+                 no folds or wrinkles, PBR albedo quality, high-resolution material scan,
+                 repeating pattern, suitable for game assets and apparel`,
+      negative: `seams, visible tile edges, borders, hems, stitching lines, folds, wrinkles, draping,
+                 perspective, depth, clothing, person, shadows, uneven lighting, vignette,
+                 focal points, irregular weave, blurry, watermark, text, logo, cartoon`
+    },
+    seamless: {
+      positive: `Blend the seams of this \${material} fabric texture${DETAILS}, continue every thread and the weave
+                 across the edges, keep the pattern repeat aligned, preserve fiber detail and color,
+                 imperceptible transitions, tileable result`,
+      negative: `broken threads, misaligned weave, seams, hems, stitching, folds, changing the pattern,
+                 altering colors, creating borders, adding shadows, blurriness, distortion,
+                 watermark, text, perspective`
+    }
+  },
+
+  ground: {
+    label: 'Ground / terrain',
+    description: 'Soil, sand, gravel, grass, snow and forest floor',
+    initial: {
+      positive: `Seamless tileable ground texture of \${material}${DETAILS}, straight-down aerial view,
+                 natural terrain surface with evenly scattered pebbles, debris and vegetation,
+                 consistent density and scale, flat overcast lighting,
+                 photogrammetry quality, PBR albedo, high-resolution material scan,
+                 repeating pattern, suitable for terrain materials in game engines`,
+      negative: `seams, visible tile edges, borders, paths, tracks, footprints, puddles, single large rock,
+                 clearings, perspective, horizon, sky, plants seen from the side,
+                 cast shadows, uneven lighting, vignette, focal points,
+                 blurry, watermark, text, logo, cartoon`
+    },
+    seamless: {
+      positive: `Blend the seams of this \${material} ground texture${DETAILS}, continue scattered debris and vegetation
+                 across the edges, keep density and scale even, preserve soil color variation,
+                 imperceptible transitions, tileable result`,
+      negative: `bare strips at the seams, clumped debris, new large rocks, paths, changing the terrain type,
+                 altering colors, creating borders, adding shadows, blurriness, distortion,
+                 watermark, text, perspective`
+    }
+  },
+
+  'scifi-panel': {
+    label: 'Sci-fi panel',
+    description: 'Hard-surface hull plating, panels and greebles',
+    initial: {
+      positive: `Seamless tileable sci-fi panel texture of \${material}${DETAILS}, top-down orthographic view,
+                 hard-surface hull plating on a regular grid, panel lines aligned to the image edges,
+                 evenly spaced vents, bolts and greebles, subtle edge wear,
+                 flat diffuse lighting, PBR albedo quality, high-resolution trim sheet quality,
+                 repeating pattern, suitable for game assets`,
+      negative: `seams, panel lines cut off at the edges, misaligned grid, borders,
+                 perspective, depth, spaceship, corridor, characters, glowing lights,
+                 lens flare, reflections, strong shadows, uneven lighting, vignette, focal points,
+                 blurry, watermark, text, logo, cartoon, organic shapes`
+    },
+    seamless: {
+      positive: `Blend the seams of this \${material} sci-fi panel texture${DETAILS}, continue panel lines straight
+                 across the edges, keep the grid regular and aligned, preserve greeble density,
+                 wear and color, imperceptible transitions, tileable result`,
+      negative: `broken or doubled panel lines, misaligned grid, half greebles at the seams,
+                 changing the design, altering colors, creating borders, adding shadows,
+                 blurriness, distortion, watermark, text, perspective`
+    }
+  }
+};
@@ -0,0 +1,177 @@
+import fs from 'fs';
+import path from 'path';
+import { validateTemplate } from '../promptTemplate';
+import { BUILTIN_PRESETS } from './builtin';
+
+/**
+ * Preset used when a request names none
+ */
+export const DEFAULT_PRESET = 'generic';
+
+/**
+ * Directory searched for extra presets (PRESETS_DIR, default `presets` in the
+ * working directory). Each `<name>.json` file adds a preset, or replaces the
+ * built-in one of the same name.
+ */
+export const PRESETS_DIR = path.resolve(process.env.PRESETS_DIR || 'presets');
+
+// Preset names double as file names, so keep them simple
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// The loaded files hang off globalThis so Next's module reloading in development doesn't drop them
+const cache = globalThis.__presetFiles || (globalThis.__presetFiles = { presets: null, signature: null, mtimes: {} });
+
+/**
+ * Checks the shape of a preset: a label and, for both stages, a positive and
+ * a negative template (see lib/promptTemplate.js). The positive templates must
+ * use the material, as `${material}` or `${prompt}`.
+ * @param {Object} preset - Preset to check
+ * @returns {string[]} Error messages
+ */
+export function validatePreset(preset) {
+  if (!preset || typeof preset !== 'object') {
+    return ['A preset must be an object'];
+  }
+
+  const errors = [];
+  if (typeof preset.label !== 'string' || !preset.label) {
+    errors.push('label must be a non-empty string');
+  }
+  for (const stage of ['initial', 'seamless']) {
+    const templates = preset[stage] || {};
+    for (const kind of ['positive', 'negative']) {
+      if (typeof templates[kind] !== 'string') {
+        errors.push(`${stage}.${kind} must be a string`);
+        continue;
+      }
+      const { names, errors: templateErrors } = validateTemplate(templates[kind]);
+      errors.push(...templateErrors.map((message) => `${stage}.${kind}: ${message}`));
+      if (kind === 'positive' && templateErrors.length === 0 && !names.includes('material') && !names.includes('prompt')) {
+        errors.push(`${stage}.positive must use \${material} or \${prompt}`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Modification time of a file or directory
+ * @param {string} file - Path to check
+ * @returns {number|null} mtime in milliseconds, or null when it doesn't exist
+ */
+function modifiedAt(file) {
+  try {
+    return fs.statSync(file).mtimeMs;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Fingerprint of PRESETS_DIR as last loaded. Adding, removing or renaming a
+ * file changes the directory's mtime; editing one in place only changes the
+ * file's, so the loaded files are checked too.
+ * @returns {string}
+ */
+function directorySignature() {
+  const mtimes = Object.keys(cache.mtimes).map((file) => modifiedAt(path.join(PRESETS_DIR, file)));
+  return JSON.stringify([modifiedAt(PRESETS_DIR), ...mtimes]);
+}
+
+/**
+ * Reads the presets dropped into PRESETS_DIR. Files that can't be parsed or
+ * don't describe a valid preset are logged and skipped.
+ * @returns {Object} Presets by name
+ */
+function readPresetFiles() {
+  cache.mtimes = {};
+  let files;
+  try {
+    files = fs.readdirSync(PRESETS_DIR).filter((file) => file.endsWith('.json'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`❌ Failed to read presets from ${PRESETS_DIR}:`, error);
+    }
+    return {};
+  }
+
+  const presets = {};
+  for (const file of files) {
+    const name = path.basename(file, '.json');
+    if (!NAME_PATTERN.test(name)) {
+      console.error(`❌ Skipping preset ${file}: names may only use lowercase letters, digits and dashes`);
+      continue;
+    }
+
+    try {
+      cache.mtimes[file] = modifiedAt(path.join(PRESETS_DIR, file));
+      const preset = JSON.parse(fs.readFileSync(path.join(PRESETS_DIR, file), 'utf8'));
+      const errors = validatePreset(preset);
+      if (errors.length > 0) {
+        console.error(`❌ Skipping preset ${file}: ${errors.join('; ')}`);
+        continue;
+      }
+      presets[name] = { ...preset, source: 'file' };
+    } catch (error) {
+      console.error(`❌ Skipping preset ${file}:`, error.message);
+    }
+  }
+  return presets;
+}
+
+/**
+ * The presets from PRESETS_DIR, read once and read again only when the
+ * directory or one of its preset files changes
+ * @returns {Object} Presets by name
+ */
+function loadPresetFiles() {
+  let signature;
+  try {
+    signature = directorySignature();
+  } catch (error) {
+    console.error(`❌ Failed to check presets in ${PRESETS_DIR}:`, error);
+    return cache.presets || {};
+  }
+
+  if (cache.presets === null || signature !== cache.signature) {
+    cache.presets = readPresetFiles();
+    cache.signature = directorySignature();
+    console.log(`Loaded ${Object.keys(cache.presets).length} preset file(s) from ${PRESETS_DIR} ✓`);
+  }
+  return cache.presets;
+}
+
+/**
+ * All presets: the built-in ones, then those from PRESETS_DIR. The files are
+ * cached and read again when the directory changes, so dropped-in files apply
+ * without a restart.
+ * @returns {Object} Presets by name, each `{label, description?, initial, seamless, source}`
+ *   with `source` either `builtin` or `file`
+ */
+export function loadPresets() {
+  const builtin = Object.fromEntries(
+    Object.entries(BUILTIN_PRESETS).map(([name, preset]) => [name, { ...preset, source: 'builtin' }])
+  );
+  return { ...builtin, ...loadPresetFiles() };
+}
+
+/**
+ * Checks whether a preset name is known
+ * @param {string} name - Preset name
+ * @returns {boolean}
+ */
+export function isPreset(name) {
+  return Object.prototype.hasOwnProperty.call(loadPresets(), name);
+}
+
+/**
+ * Looks up a preset, falling back to DEFAULT_PRESET
+ * @param {string} [name] - Preset name
+ * @returns {Object} The preset, with its `name`
+ */
+export function getPreset(name) {
+  const presets = loadPresets();
+  const key = name && presets[name] ? name : DEFAULT_PRESET;
+  return { name: key, ...presets[key] };
+}
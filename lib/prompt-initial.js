@@ -1,36 +0,0 @@
-export const IMAGE_GENERATION_PROMPT = {
-  positive: `Seamless texture, infinite tiling, perfectly repeating pattern of \${prompt}, 
-             flawless tileable design, no visible edges or seams, mirrored edges, uniform texture, uniform lighting,
-             infinite canvas illusion, straight-down top-down view, consistent lighting and scale, 
-             ultra-detailed texture, PBR material quality, high-resolution material texture, 
-             even distribution, uniform pattern throughout, loopable, evenly spaced features, 
-             subtle natural transitions, texture should flow continuously when tiled, 
-             ideal for 3D texture mapping, professional quality, suitable for game assets`,
-  
-  negative: `blurry, bad quality, distorted, seams, borders, edges, mismatch, pattern ends, 
-             tile mismatch, cut-off texture, texture edges visible, border artifacts, 
-             harsh lines, non-looping, break in pattern, abrupt transitions, focal points, 
-             unique elements, shadows, uneven lighting, perspective, depth, 3D effect, 
-             asymmetrical, distinct features, watermark, signature, text, logo, 
-             irregular pattern, non-repeating elements, bad anatomy, mutation, deformed`
-};
-
-// export const IMAGE_GENERATION_PROMPT = {
-//   positive: `Seamless tiling pattern, perfect tileable texture of \${prompt}, 
-//              uniform pattern across the entire image, symmetrical design, balanced texture,
-//              perfectly tileable, high quality material texture, top-down view, flat lighting, 
-//              consistent scale, even distribution, repeating pattern, no focal point, 
-//              perfect for 3D texture mapping, professional quality, suitable for game assets`,
-//   negative: "blurry, bad quality, distorted, disfigured, ugly, bad anatomy, wrong anatomy, extra limb, missing limb, floating limbs, disconnected limbs, mutation, deformed, ugly, disgusting, amputation, seams, borders, edges, watermark, signature, text, logo, irregular pattern, non-repeating elements, shadows, uneven lighting, perspective, depth, 3D effect, asymmetrical, distinct features, focal points, unique elements"
-// }; 
-
-// export const IMAGE_GENERATION_PROMPT = {
-//   positive: `Seamless tileable texture of \${prompt}, repeating pattern, no visible seams,
-//              top-down view, consistent lighting, detailed material texture, uniform distribution,
-//              loopable, suitable for game assets`,
-
-//   negative: `blurry, distorted, seams, edges, borders, mismatch, abrupt transitions,
-//              focal points, shadows, uneven lighting, perspective, depth, watermark, text,
-//              irregular pattern, non-repeating elements`
-// };
-
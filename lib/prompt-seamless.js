@@ -1,10 +0,0 @@
-export const TEXTURE_INPAINTING_PROMPT = {
-    positive: `Blend the seams of this \${prompt} texture, create perfect continuity across edges, 
-               maintain consistent material details, uniform texture density, preserve the original texture characteristics,
-               ensure pattern flows naturally between borders, photorealistic material surface,
-               imperceptible transitions, tileable result`,
-  
-    negative: `new details, different pattern, changing the texture, altering colors significantly,
-               creating borders, adding shadows, introducing noise, distortion, blurriness,
-               watermark, text, irregular elements, focal points, depth, perspective effects`
-  };
\ No newline at end of file
@@ -0,0 +1,241 @@
+import { splitTerms } from './promptWeights';
+
+/**
+ * A small template engine for the prompt templates of material presets.
+ *
+ * - `${name}` inserts a variable; the request fails validation if it is missing
+ * - `${name|default}` inserts a variable, or the default text when it is missing
+ * - `{{#name}}…{{/name}}` keeps its content only when the variable is set,
+ *   `{{^name}}…{{/name}}` only when it is not
+ * - `\` makes the next character literal, e.g. `\${` for a literal `${`
+ *
+ * Values are inserted as plain text and never expanded again, so user input
+ * can't inject template syntax.
+ */
+
+/**
+ * Variables templates may use. `prompt` is the free text of the prompt,
+ * `material` the same unless set explicitly.
+ */
+export const TEMPLATE_VARIABLES = ['prompt', 'material', 'color', 'scale', 'weathering', 'style'];
+
+/**
+ * Other names accepted for variables in structured prompts and request bodies
+ */
+export const VARIABLE_ALIASES = { colour: 'color', wear: 'weathering' };
+
+/**
+ * Parses a template into text, variable and section nodes
+ * @param {string} template - Template source
+ * @returns {Object[]} Nodes: `{type: 'text', text}`, `{type: 'variable', name, fallback}` or
+ *   `{type: 'section', name, inverted, children}`
+ */
+export function parseTemplate(template) {
+  const root = { children: [] };
+  const stack = [root];
+  let text = '';
+  let i = 0;
+
+  const flushText = () => {
+    if (text) stack[stack.length - 1].children.push({ type: 'text', text });
+    text = '';
+  };
+
+  while (i < template.length) {
+    if (template[i] === '\\' && i + 1 < template.length) {
+      text += template[i + 1];
+      i += 2;
+    } else if (template.startsWith('${', i)) {
+      const end = template.indexOf('}', i);
+      if (end === -1) {
+        throw new Error(`Unclosed \${ at position ${i}`);
+      }
+      const [name, ...rest] = template.slice(i + 2, end).split('|');
+      flushText();
+      stack[stack.length - 1].children.push({
+        type: 'variable',
+        name: name.trim(),
+        fallback: rest.length > 0 ? rest.join('|') : undefined
+      });
+      i = end + 1;
+    } else if (template.startsWith('{{', i)) {
+      const end = template.indexOf('}}', i);
+      if (end === -1) {
+        throw new Error(`Unclosed {{ at position ${i}`);
+      }
+      const tag = template.slice(i + 2, end).trim();
+      const name = tag.slice(1).trim();
+      flushText();
+      if (tag[0] === '#' || tag[0] === '^') {
+        const section = { type: 'section', name, inverted: tag[0] === '^', children: [] };
+        stack[stack.length - 1].children.push(section);
+        stack.push(section);
+      } else if (tag[0] === '/') {
+        const open = stack[stack.length - 1];
+        if (stack.length === 1 || open.name !== name) {
+          throw new Error(`Unexpected {{/${name}}} at position ${i}`);
+        }
+        stack.pop();
+      } else {
+        throw new Error(`Unknown tag {{${tag}}} at position ${i}; use {{#name}}, {{^name}} or {{/name}}`);
+      }
+      i = end + 2;
+    } else {
+      text += template[i];
+      i++;
+    }
+  }
+
+  flushText();
+  if (stack.length > 1) {
+    throw new Error(`Unclosed section {{#${stack[stack.length - 1].name}}}`);
+  }
+  return root.children;
+}
+
+/**
+ * Names of the variables and sections a template refers to
+ * @param {Object[]} nodes - Parsed template
+ * @returns {string[]}
+ */
+function referencedNames(nodes) {
+  return nodes.flatMap((node) => {
+    if (node.type === 'variable') return [node.name];
+    if (node.type === 'section') return [node.name, ...referencedNames(node.children)];
+    return [];
+  });
+}
+
+/**
+ * Checks a template's syntax and that it only uses known variables
+ * @param {string} template - Template source
+ * @returns {{names: string[], errors: string[]}} The variables it uses, and the error messages
+ */
+export function validateTemplate(template) {
+  let nodes;
+  try {
+    nodes = parseTemplate(template);
+  } catch (error) {
+    return { names: [], errors: [error.message] };
+  }
+
+  const names = [...new Set(referencedNames(nodes))];
+  const unknown = names.filter((name) => !TEMPLATE_VARIABLES.includes(name));
+  return {
+    names,
+    errors: unknown.length > 0
+      ? [`Unknown template variables: ${unknown.join(', ')}. Available: ${TEMPLATE_VARIABLES.join(', ')}`]
+      : []
+  };
+}
+
+/**
+ * Expands parsed nodes
+ * @param {Object[]} nodes - Parsed template
+ * @param {Object} values - Variable values
+ * @param {Set<string>} missing - Collects required variables that have no value
+ * @returns {string}
+ */
+function renderNodes(nodes, values, missing) {
+  return nodes.map((node) => {
+    if (node.type === 'text') return node.text;
+    const value = values[node.name];
+    if (node.type === 'section') {
+      return Boolean(value) !== node.inverted ? renderNodes(node.children, values, missing) : '';
+    }
+    if (value) return value;
+    if (node.fallback !== undefined) return node.fallback;
+    missing.add(node.name);
+    return '';
+  }).join('');
+}
+
+/**
+ * Expands a template
+ * @param {string} template - Template source
+ * @param {Object} values - Variable values; empty strings count as missing
+ * @returns {{text: string, missing: string[]}} The expanded text, and the required variables that
+ *   had no value (left empty in the text)
+ */
+export function renderTemplate(template, values) {
+  const missing = new Set();
+  const text = renderNodes(parseTemplate(template), values, missing);
+  return { text, missing: [...missing] };
+}
+
+/**
+ * Collapses whitespace in a user value
+ * @param {string} value
+ * @returns {string}
+ */
+function cleanValue(value) {
+  return value.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Splits a prompt at commas that are neither escaped as `\,` nor inside a
+ * weighted group (see lib/promptWeights.js), and resolves the `\,` escapes.
+ * Other escapes are left for the weighting syntax.
+ * @param {string} prompt
+ * @returns {string[]} Trimmed segments
+ */
+function splitPrompt(prompt) {
+  return splitTerms(prompt)
+    .map((segment) => cleanValue(segment.replace(/\\,/g, ',')))
+    .filter(Boolean);
+}
+
+/**
+ * Maps a variable name or alias to the variable it sets
+ * @param {string} name
+ * @returns {string|null} Variable name, or null if unknown
+ */
+function variableName(name) {
+  const key = name.trim().toLowerCase();
+  const resolved = VARIABLE_ALIASES[key] || key;
+  return TEMPLATE_VARIABLES.includes(resolved) && resolved !== 'prompt' ? resolved : null;
+}
+
+/**
+ * Works out the template variables of a request. The prompt may mix free text
+ * with structured parts such as `oak planks, color: dark brown, wear: heavy`;
+ * `key: value` parts with a known key set that variable, and the rest is the
+ * free text. `\,` keeps a comma inside a value. Explicit `variables` from the
+ * request body win over the prompt.
+ * @param {string} prompt - Prompt as sent
+ * @param {Object} [explicit] - Variables by name
+ * @returns {{variables: Object, errors: string[]}}
+ */
+export function resolveVariables(prompt, explicit) {
+  const errors = [];
+  const parsed = {};
+  const free = [];
+
+  for (const segment of splitPrompt(prompt)) {
+    const match = segment.match(/^([a-z]+)\s*:\s*(.+)$/i);
+    const name = match && variableName(match[1]);
+    if (name) {
+      parsed[name] = match[2];
+    } else {
+      free.push(segment);
+    }
+  }
+
+  if (explicit !== undefined && (typeof explicit !== 'object' || explicit === null || Array.isArray(explicit))) {
+    errors.push('variables must be an object');
+  } else {
+    for (const [key, value] of Object.entries(explicit || {})) {
+      const name = variableName(key);
+      if (!name) {
+        errors.push(`Unknown variable "${key}". Available: ${TEMPLATE_VARIABLES.filter((entry) => entry !== 'prompt').join(', ')}`);
+      } else if (typeof value !== 'string') {
+        errors.push(`variables.${key} must be a string`);
+      } else if (cleanValue(value)) {
+        parsed[name] = cleanValue(value);
+      }
+    }
+  }
+
+  const text = free.join(', ');
+  return { variables: { prompt: text, material: text, ...parsed }, errors };
+}
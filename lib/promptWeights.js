@@ -0,0 +1,264 @@
+/**
+ * Weighted prompt syntax, as popularized by Automatic1111:
+ *
+ * - `(text:1.3)` sets the weight of `text`; above 1 emphasizes, below 1 weakens
+ * - `(text)` multiplies the weight by 1.1, `[text]` divides it by 1.1
+ * - groups nest, and their weights multiply: `((moss):1.2)` is moss at 1.32
+ * - `\(`, `\)`, `\[` and `\]` are literal brackets
+ * - text inside a group can't contain `:`, since only a trailing `:number` is a weight
+ *
+ * Automatic1111 reads the syntax itself. The other backends don't, so their
+ * providers translate it with normalizeWeights or flattenWeights.
+ */
+
+/**
+ * Factor applied by a group without an explicit weight
+ */
+export const EMPHASIS_FACTOR = 1.1;
+
+/**
+ * Largest weight a prompt may give a term; beyond it images fall apart
+ */
+export const MAX_WEIGHT = 2;
+
+// Weight above 1 that earns an emphasized term each extra mention when flattening, rounded
+const REPEAT_STEP = 0.25;
+
+// Most extra mentions a flattened term gets
+const MAX_REPEATS = 3;
+
+// Trailing `:weight` of a parenthesized group
+const WEIGHT_PATTERN = /:\s*(\d+(?:\.\d+)?|\.\d+)\s*$/;
+
+// Words that carry no weight of their own between weighted terms
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'as', 'at', 'by', 'for', 'from', 'in', 'into', 'of', 'on', 'or', 'over', 'the', 'to', 'under', 'with'
+]);
+
+/**
+ * Parses weighted prompt syntax into text segments. Like Automatic1111 it is
+ * lenient: an unmatched closing bracket is kept as text and an unclosed group
+ * runs to the end. Both are reported so requests can be rejected.
+ * @param {string} prompt
+ * @returns {{segments: {text: string, weight: number}[], errors: string[]}} Segments in order,
+ *   neighbours with the same weight merged (with a space where a bracket separated
+ *   them, so `(moss:1.3)(stone:1.3)` is `moss stone`), and the syntax errors
+ */
+export function parseWeightedPrompt(prompt) {
+  const segments = [];
+  const groups = [];
+  const errors = [];
+  // Segments whose colon was already reported by an inner group
+  const colonReported = new Set();
+  let text = '';
+
+  const flushText = () => {
+    if (text) segments.push({ text, weight: 1 });
+    text = '';
+  };
+  const scaleFrom = (start, factor) => {
+    for (const segment of segments.slice(start)) segment.weight *= factor;
+  };
+
+  for (let i = 0; i < prompt.length; i++) {
+    const char = prompt[i];
+    if (char === '\\' && '()[]\\'.includes(prompt[i + 1])) {
+      text += prompt[++i];
+    } else if (char === '(' || char === '[') {
+      flushText();
+      groups.push({ bracket: char, start: segments.length, position: i });
+    } else if (char === ')' || char === ']') {
+      const group = groups[groups.length - 1];
+      if (!group || group.bracket !== (char === ')' ? '(' : '[')) {
+        errors.push(`Unmatched "${char}" at position ${i}`);
+        text += char;
+        continue;
+      }
+      groups.pop();
+      let factor = char === ')' ? EMPHASIS_FACTOR : 1 / EMPHASIS_FACTOR;
+      const match = char === ')' && text.match(WEIGHT_PATTERN);
+      if (match) {
+        factor = Number(match[1]);
+        text = text.slice(0, match.index);
+      }
+      flushText();
+      // Only the last colon can introduce the weight; `(ratio 3:2:1.2)` is ambiguous
+      const colons = segments.slice(group.start)
+        .filter((segment) => segment.text.includes(':') && !colonReported.has(segment));
+      if (colons.length > 0) {
+        colons.forEach((segment) => colonReported.add(segment));
+        errors.push(`Colon inside the group at position ${group.position}; weighted text can't contain ":"`);
+      }
+      scaleFrom(group.start, factor);
+    } else {
+      text += char;
+    }
+  }
+
+  flushText();
+  for (const group of groups.reverse()) {
+    errors.push(`Unclosed "${group.bracket}" at position ${group.position}`);
+    scaleFrom(group.start, group.bracket === '(' ? EMPHASIS_FACTOR : 1 / EMPHASIS_FACTOR);
+  }
+
+  const merged = [];
+  for (const segment of segments) {
+    const previous = merged[merged.length - 1];
+    if (previous && previous.weight === segment.weight) {
+      // Segments only split at brackets, so keep the words on either side apart
+      const joined = /\s$/.test(previous.text) || /^\s/.test(segment.text);
+      previous.text += (joined ? '' : ' ') + segment.text;
+    } else {
+      merged.push(segment);
+    }
+  }
+  return { segments: merged, errors };
+}
+
+/**
+ * Splits a prompt into comma-separated terms, leaving commas inside weighted
+ * groups such as `(moss, lichen:1.2)` alone
+ * @param {string} prompt
+ * @returns {string[]} Terms, untrimmed and with their escapes intact
+ */
+export function splitTerms(prompt) {
+  const terms = [''];
+  let depth = 0;
+  for (let i = 0; i < prompt.length; i++) {
+    const char = prompt[i];
+    if (char === '\\' && i + 1 < prompt.length) {
+      terms[terms.length - 1] += char + prompt[++i];
+      continue;
+    }
+    if (char === '(' || char === '[') depth++;
+    if ((char === ')' || char === ']') && depth > 0) depth--;
+    if (char === ',' && depth === 0) {
+      terms.push('');
+    } else {
+      terms[terms.length - 1] += char;
+    }
+  }
+  return terms;
+}
+
+/**
+ * Checks a prompt's weighting syntax and that no weight exceeds MAX_WEIGHT
+ * @param {string} prompt
+ * @param {string} field - Field name for the messages
+ * @returns {string[]} Error messages
+ */
+export function validateWeightedPrompt(prompt, field) {
+  const { segments, errors } = parseWeightedPrompt(prompt);
+  const messages = errors.map((error) => `${field}: ${error}`);
+  for (const { text, weight } of segments) {
+    if (weight > MAX_WEIGHT) {
+      messages.push(`${field}: "${text.trim()}" has weight ${roundWeight(weight)}, the most is ${MAX_WEIGHT}`);
+    }
+  }
+  return messages;
+}
+
+/**
+ * Rounds a weight for display and for the backends
+ * @param {number} weight
+ * @returns {number}
+ */
+function roundWeight(weight) {
+  return Math.round(weight * 100) / 100;
+}
+
+/**
+ * Whether a prompt uses any weighting, so plain prompts pass through untouched
+ * @param {Object[]} segments - Parsed prompt
+ * @returns {boolean}
+ */
+function hasWeights(segments) {
+  return segments.some((segment) => segment.weight !== 1);
+}
+
+/**
+ * Escapes the brackets of literal text
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+  return text.replace(/[()[\]\\]/g, '\\$&');
+}
+
+/**
+ * Writes segments back as `(term:weight)` syntax. Weighted text is wrapped one
+ * comma-separated term at a time, with whitespace and commas left outside.
+ * Colons in weighted terms become spaces, so they can't read as a weight.
+ * @param {Object[]} segments - Parsed prompt
+ * @returns {string}
+ */
+function formatSegments(segments) {
+  return segments.map(({ text, weight }) => {
+    const rounded = roundWeight(weight);
+    if (rounded === 1) return escapeText(text);
+    return text.split(',').map((part) => {
+      const [, before, term, after] = part.match(/^(\s*)([\s\S]*?)(\s*)$/);
+      return term ? `${before}(${escapeText(term.replace(/:/g, ' '))}:${rounded})${after}` : part;
+    }).join(',');
+  }).join('');
+}
+
+/**
+ * Whether a segment is only whitespace, punctuation or stop words, which
+ * shouldn't become weighted terms of their own
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isFiller(text) {
+  return text.split(/[^\p{L}\p{N}]+/u).filter(Boolean).every((word) => STOP_WORDS.has(word.toLowerCase()));
+}
+
+/**
+ * Rescales a prompt's weights into the 0 to 1 range, for backends that read
+ * `(text:weight)` but cap weights at 1 (Stability's Stable Image API). The
+ * strongest term gets 1 and the others keep their proportions, so emphasis
+ * turns into weakening everything else. Unweighted filler between terms,
+ * such as ` on `, is left as it is.
+ * @param {string} prompt - Prompt in weighted syntax
+ * @returns {string}
+ */
+export function normalizeWeights(prompt) {
+  const { segments } = parseWeightedPrompt(prompt);
+  if (!hasWeights(segments)) return prompt;
+
+  const strongest = Math.max(...segments.map((segment) => segment.weight));
+  const scale = strongest > 1 ? 1 / strongest : 1;
+  return formatSegments(segments.map(({ text, weight }) => ({
+    text,
+    weight: weight === 1 && isFiller(text) ? 1 : weight * scale
+  })));
+}
+
+/**
+ * Removes the weighting syntax for backends that take plain text (SDXL on
+ * Replicate). Terms weighted 0 are dropped. Emphasized terms are mentioned
+ * again at the end, since repetition is the one emphasis plain text has: once
+ * per REPEAT_STEP above 1, rounded, and at least once, up to MAX_REPEATS times.
+ * Weakened terms can't be expressed and are kept as they are.
+ * @param {string} prompt - Prompt in weighted syntax
+ * @returns {string}
+ */
+export function flattenWeights(prompt) {
+  const { segments } = parseWeightedPrompt(prompt);
+  if (!hasWeights(segments)) return segments.map((segment) => segment.text).join('');
+
+  const kept = segments.filter((segment) => segment.weight > 0);
+  const repeats = kept.flatMap(({ text, weight }) => {
+    const term = text.replace(/^[\s,]+|[\s,]+$/g, '');
+    const rounded = roundWeight(weight);
+    if (!term || rounded <= 1) return [];
+    // Any emphasis earns a mention, so a light one like (moss:1.1) isn't lost
+    const count = Math.min(MAX_REPEATS, Math.max(1, Math.round((rounded - 1) / REPEAT_STEP)));
+    return Array(count).fill(term);
+  });
+
+  return [kept.map((segment) => segment.text).join(''), ...repeats]
+    .map((part) => part.replace(/\s+/g, ' ').replace(/^[\s,]+|[\s,]+$/g, ''))
+    .filter(Boolean)
+    .join(', ');
+}
@@ -0,0 +1,214 @@
+import axios from 'axios';
+import { snapDimensions } from '../resolution';
+
+// Automatic1111 names for the Stability-style sampler names used in requests
+const SAMPLER_NAMES = {
+  DDIM: 'DDIM',
+  K_DPMPP_2M: 'DPM++ 2M',
+  K_DPMPP_2S_ANCESTRAL: 'DPM++ 2S a',
+  K_DPM_2: 'DPM2',
+  K_DPM_2_ANCESTRAL: 'DPM2 a',
+  K_EULER: 'Euler',
+  K_EULER_ANCESTRAL: 'Euler a',
+  K_HEUN: 'Heun',
+  K_LMS: 'LMS'
+};
+
+// Sizes must be multiples of 8; larger areas are scaled down to keep generation times sane
+const NATIVE_SIZE = { multiple: 8, maxPixels: 1024 * 1024 };
+
+// Upscaler of the extras tab, as named in the web UI (A1111_UPSCALER overrides it)
+const DEFAULT_UPSCALER = 'R-ESRGAN 4x+';
+
+/**
+ * Maps a sampler name to Automatic1111's, passing through names it already knows
+ * @param {string} sampler - Sampler name
+ * @returns {string}
+ */
+function toSamplerName(sampler) {
+  return SAMPLER_NAMES[sampler] || sampler;
+}
+
+/**
+ * Base URL of the Automatic1111 web UI, started with the `--api` flag
+ * @returns {string}
+ */
+function getServerUrl() {
+  return (process.env.A1111_API_URL || 'http://127.0.0.1:7860').replace(/\/+$/, '');
+}
+
+/**
+ * Upscaler model used by the extras endpoint
+ * @returns {string}
+ */
+function getUpscalerName() {
+  return process.env.A1111_UPSCALER || DEFAULT_UPSCALER;
+}
+
+/**
+ * Calls an Automatic1111 API endpoint and returns its first image
+ * @param {string} endpoint - Endpoint path, e.g. `sdapi/v1/txt2img`
+ * @param {Object} payload - JSON payload
+ * @returns {Promise<string>} Base64 encoded image
+ */
+async function callApi(endpoint, payload) {
+  const response = await axios.post(`${getServerUrl()}/${endpoint}`, payload, {
+    validateStatus: undefined,
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+  if (response.status !== 200) {
+    const detail = typeof response.data === 'string'
+      ? response.data
+      : JSON.stringify(response.data);
+    throw new Error(`Automatic1111 API Error (${response.status}): ${detail}`);
+  }
+
+  // Generation endpoints return `images`, the extras endpoint a single `image`
+  const images = response.data && (response.data.images || (response.data.image && [response.data.image]));
+  if (!Array.isArray(images) || images.length === 0) {
+    throw new Error(`No output image received from Automatic1111 ${endpoint}`);
+  }
+
+  return images[0];
+}
+
+/**
+ * Text-to-image with a local Automatic1111 server
+ * @param {Object} options - See the provider interface in ./index.js
+ * @returns {Promise<string>} Base64 encoded image
+ */
+async function textToImage({
+  prompt,
+  negativePrompt = '',
+  width = 1024,
+  height = 1024,
+  guidanceScale = 7,
+  steps = 40,
+  sampler = 'Euler',
+  tiling = false,
+  seed = -1
+}) {
+  return callApi('sdapi/v1/txt2img', {
+    prompt,
+    negative_prompt: negativePrompt,
+    ...snapDimensions(width, height, NATIVE_SIZE),
+    cfg_scale: guidanceScale,
+    steps,
+    sampler_name: toSamplerName(sampler),
+    tiling,
+    seed,
+    n_iter: 1,
+    batch_size: 1
+  });
+}
+
+/**
+ * Image-to-image with a local Automatic1111 server
+ * @param {Object} options - See the provider interface in ./index.js
+ * @returns {Promise<string>} Base64 encoded image
+ */
+async function imageToImage({
+  image,
+  prompt,
+  negativePrompt = '',
+  strength = 0.35,
+  width = 1024,
+  height = 1024,
+  guidanceScale = 7,
+  steps = 40,
+  sampler = 'Euler',
+  tiling = false,
+  seed = -1
+}) {
+  return callApi('sdapi/v1/img2img', {
+    prompt,
+    negative_prompt: negativePrompt,
+    init_images: [image],
+    denoising_strength: strength,
+    ...snapDimensions(width, height, NATIVE_SIZE),
+    cfg_scale: guidanceScale,
+    steps,
+    sampler_name: toSamplerName(sampler),
+    tiling,
+    seed,
+    n_iter: 1,
+    batch_size: 1
+  });
+}
+
+/**
+ * Inpainting with a local Automatic1111 server. White mask pixels are repainted.
+ * @param {Object} options - See the provider interface in ./index.js
+ * @returns {Promise<string>} Base64 encoded image
+ */
+async function inpaint({
+  image,
+  mask,
+  prompt,
+  negativePrompt = '',
+  strength = 0.75,
+  width = 1024,
+  height = 1024,
+  guidanceScale = 7,
+  steps = 40,
+  sampler = 'Euler',
+  seed = -1
+}) {
+  return callApi('sdapi/v1/img2img', {
+    prompt,
+    negative_prompt: negativePrompt,
+    init_images: [image],
+    mask,
+    mask_blur: 4,
+    inpainting_fill: 1, // Start from the original pixels under the mask
+    inpaint_full_res: false,
+    denoising_strength: strength,
+    ...snapDimensions(width, height, NATIVE_SIZE),
+    cfg_scale: guidanceScale,
+    steps,
+    sampler_name: toSamplerName(sampler),
+    seed,
+    n_iter: 1,
+    batch_size: 1
+  });
+}
+
+/**
+ * Upscaling with the extras endpoint of a local Automatic1111 server
+ * @param {Object} options - See the provider interface in ./index.js
+ * @returns {Promise<string>} Base64 encoded image
+ */
+async function upscale({ image, scale = 2 }) {
+  return callApi('sdapi/v1/extra-single-image', {
+    image,
+    resize_mode: 0,
+    upscaling_resize: scale,
+    upscaler_1: getUpscalerName()
+  });
+}
+
+// Prompts are sent as they are: the web UI reads the weighted syntax of lib/promptWeights.js itself
+export default {
+  name: 'automatic1111',
+  // Every diffusion method runs the checkpoint currently loaded in the web UI
+  models: {
+    textToImage: null,
+    imageToImage: null,
+    inpaint: null,
+    // Read when reported, like the request does, so a changed A1111_UPSCALER is reported as used
+    get upscale() {
+      return getUpscalerName();
+    }
+  },
+  supports: {
+    inpaintStrength: true,
+    tiling: true
+  },
+  // The web UI has no DDPM sampler
+  samplers: Object.keys(SAMPLER_NAMES),
+  textToImage,
+  imageToImage,
+  inpaint,
+  upscale
+};
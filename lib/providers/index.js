@@ -0,0 +1,84 @@
+import stability from './stability';
+import replicate from './replicate';
+import automatic1111 from './automatic1111';
+
+/**
+ * Image provider registry.
+ *
+ * Every provider exposes the same three async methods, each resolving to a
+ * base64 encoded PNG:
+ * - `textToImage({ prompt, negativePrompt, width, height, guidanceScale, steps, sampler, scheduler, stylePreset, tiling, seed })`
+ * - `imageToImage({ image, prompt, negativePrompt, strength, width, height, guidanceScale, steps, sampler, scheduler, tiling, seed })`
+ * - `inpaint({ image, mask, prompt, negativePrompt, strength, width, height, guidanceScale, steps, sampler, seed })`
+ *
+ * Providers with an upscaler also expose:
+ * - `upscale({ image, scale })`, enlarging the image `scale` times (2 or 4)
+ *
+ * `image` and `mask` are base64 encoded PNGs; white mask pixels are repainted.
+ * Prompts may use weighted syntax such as `(moss:1.3)`; each provider turns it
+ * into what its backend understands (see lib/promptWeights.js).
+ * Without a `seed` the backend picks a random one. Backends snap `width` and
+ * `height` to a size they support natively, so the output may differ slightly
+ * from the request; callers fit it to the exact size (see lib/resolution).
+ * Options a backend does not understand are ignored, and omitted options fall
+ * back to that backend's defaults.
+ *
+ * `models` names the model behind each method, for reporting; it is null when
+ * the backend decides (Automatic1111 runs whatever checkpoint is loaded).
+ *
+ * `supports` flags the options only some backends honor:
+ * - `inpaintStrength`: `inpaint` uses `strength`; otherwise the whole mask is repainted
+ * - `tiling`: `textToImage` and `imageToImage` use `tiling`, so the output wraps around its edges
+ *
+ * `samplers`, when set, lists the only `sampler` values the backend has.
+ */
+export const PROVIDERS = {
+  stability,
+  replicate,
+  automatic1111
+};
+
+/**
+ * Checks whether a provider name is registered
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+export function isProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+}
+
+/**
+ * Names of the providers that can upscale
+ * @returns {string[]}
+ */
+export function getUpscaleProviders() {
+  return Object.keys(PROVIDERS).filter((name) => typeof PROVIDERS[name].upscale === 'function');
+}
+
+/**
+ * Names of the providers that honor an option flagged in `supports`
+ * @param {string} option - Key of `supports`
+ * @returns {string[]}
+ */
+export function getProvidersSupporting(option) {
+  return Object.keys(PROVIDERS).filter((name) => PROVIDERS[name].supports[option]);
+}
+
+/**
+ * Resolves a provider by name. The per-request name wins, then the
+ * IMAGE_PROVIDER environment variable, then the stage's default.
+ * @param {string} [name] - Provider requested by the caller
+ * @param {string} defaultName - Provider to use when nothing else is configured
+ * @returns {Object} The provider
+ */
+export function getProvider(name, defaultName) {
+  const providerName = name || process.env.IMAGE_PROVIDER || defaultName;
+
+  if (!isProvider(providerName)) {
+    throw new Error(
+      `Unknown image provider "${providerName}". Available providers: ${Object.keys(PROVIDERS).join(', ')}`
+    );
+  }
+
+  return PROVIDERS[providerName];
+}
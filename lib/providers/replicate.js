@@ -0,0 +1,175 @@
+import replicate from 'replicate';
+import axios from 'axios';
+import { snapDimensions } from '../resolution';
+import { flattenWeights } from '../promptWeights';
+
+const SDXL_MODEL = "stability-ai/sdxl:39ed52f2a78e934b3ba6e2a89f5b1c712de7dfea535525255b1aa35c5565e08b";
+const INPAINTING_MODEL = "runwayml/stable-diffusion-inpainting:c28b92a7ecd66eee4aefcd8a94eb9e7f6c3805d5f06038165407fb5cb355ba67";
+const UPSCALE_MODEL = "nightmareai/real-esrgan:42fed1c4974146d4d2414e2be2c5277c7fcf05fcc3a73abf41610695738c1d7b";
+
+// Native size limits: SDXL takes multiples of 8, the inpainting model multiples of 64, both up to ~1 megapixel
+const SDXL_SIZE = { multiple: 8, maxPixels: 1024 * 1024 };
+const INPAINTING_SIZE = { multiple: 64, maxPixels: 1024 * 1024 };
+
+/**
+ * Runs a Replicate model and downloads its first output image
+ * @param {string} model - Model identifier including the version hash
+ * @param {Object} input - Model input
+ * @returns {Promise<string>} Base64 encoded image
+ */
+async function runModel(model, input) {
+  if (!process.env.REPLICATE_API_TOKEN) {
+    throw new Error('REPLICATE_API_TOKEN environment variable is not set');
+  }
+
+  const replicateClient = new replicate({
+    auth: process.env.REPLICATE_API_TOKEN
+  });
+
+  const output = await replicateClient.run(model, { input });
+
+  // Diffusion models return a list of images, upscalers a single one
+  const image = Array.isArray(output) ? output[0] : output;
+  if (!image) {
+    throw new Error(`No output image received from ${model.split(':')[0]}`);
+  }
+
+  try {
+    const response = await axios.get(image, { responseType: 'arraybuffer' });
+    return Buffer.from(response.data).toString('base64');
+  } catch (axiosError) {
+    console.error('Error downloading image from Replicate:', axiosError);
+    throw new Error('Failed to download image from Replicate');
+  }
+}
+
+/**
+ * Text-to-image with SDXL on Replicate
+ * @param {Object} options - See the provider interface in ./index.js
+ * @returns {Promise<string>} Base64 encoded image
+ */
+async function textToImage({
+  prompt,
+  negativePrompt,
+  width = 1024,
+  height = 1024,
+  guidanceScale = 7.5,
+  steps = 40,
+  scheduler = 'K_EULER',
+  tiling = false,
+  seed
+}) {
+  const size = snapDimensions(width, height, SDXL_SIZE);
+
+  return runModel(SDXL_MODEL, {
+    prompt: flattenWeights(prompt),
+    negative_prompt: negativePrompt && flattenWeights(negativePrompt),
+    ...size,
+    num_outputs: 1,
+    scheduler,
+    num_inference_steps: steps,
+    guidance_scale: guidanceScale,
+    tiling,
+    seed
+  });
+}
+
+/**
+ * Image-to-image with SDXL and the expert ensemble refiner on Replicate
+ * @param {Object} options - See the provider interface in ./index.js
+ * @returns {Promise<string>} Base64 encoded image
+ */
+async function imageToImage({
+  image,
+  prompt,
+  negativePrompt,
+  strength = 0.05,
+  width = 1024,
+  height = 1024,
+  guidanceScale = 8,
+  steps = 50,
+  scheduler = 'DDIM',
+  tiling = false,
+  seed
+}) {
+  const size = snapDimensions(width, height, SDXL_SIZE);
+
+  return runModel(SDXL_MODEL, {
+    prompt: flattenWeights(prompt),
+    negative_prompt: negativePrompt && flattenWeights(negativePrompt),
+    image: `data:image/png;base64,${image}`,
+    ...size,
+    num_outputs: 1,
+    scheduler,
+    num_inference_steps: steps,
+    guidance_scale: guidanceScale,
+    prompt_strength: strength,
+    refine: "expert_ensemble_refiner",
+    high_noise_frac: 0.8,
+    tiling,
+    seed
+  });
+}
+
+/**
+ * Inpainting with Stable Diffusion inpainting on Replicate.
+ * The model repaints the whole mask, so `strength` is not used.
+ * @param {Object} options - See the provider interface in ./index.js
+ * @returns {Promise<string>} Base64 encoded image
+ */
+async function inpaint({
+  image,
+  mask,
+  prompt,
+  negativePrompt,
+  width = 1024,
+  height = 1024,
+  guidanceScale = 7.5,
+  steps = 50,
+  seed
+}) {
+  const size = snapDimensions(width, height, INPAINTING_SIZE);
+
+  return runModel(INPAINTING_MODEL, {
+    prompt: flattenWeights(prompt),
+    negative_prompt: negativePrompt && flattenWeights(negativePrompt),
+    image: `data:image/png;base64,${image}`,
+    mask: `data:image/png;base64,${mask}`,
+    num_outputs: 1,
+    guidance_scale: guidanceScale,
+    num_inference_steps: steps,
+    ...size,
+    seed
+  });
+}
+
+/**
+ * Upscaling with Real-ESRGAN on Replicate
+ * @param {Object} options - See the provider interface in ./index.js
+ * @returns {Promise<string>} Base64 encoded image
+ */
+async function upscale({ image, scale = 2 }) {
+  return runModel(UPSCALE_MODEL, {
+    image: `data:image/png;base64,${image}`,
+    scale,
+    face_enhance: false
+  });
+}
+
+export default {
+  name: 'replicate',
+  models: {
+    textToImage: SDXL_MODEL,
+    imageToImage: SDXL_MODEL,
+    inpaint: INPAINTING_MODEL,
+    upscale: UPSCALE_MODEL
+  },
+  supports: {
+    inpaintStrength: false,
+    tiling: true
+  },
+  textToImage,
+  imageToImage,
+  inpaint,
+  upscale
+};
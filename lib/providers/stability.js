@@ -0,0 +1,149 @@
+import axios from 'axios';
+import FormData from 'form-data';
+import { nearestAspectRatio } from '../resolution';
+import { normalizeWeights } from '../promptWeights';
+
+const STABILITY_API_URL = 'https://api.stability.ai';
+
+/**
+ * Posts a multipart form to a Stability AI v2beta endpoint
+ * @param {string} endpoint - Endpoint path, e.g. `v2beta/stable-image/generate/core`
+ * @param {FormData} formData - The request payload
+ * @returns {Promise<string>} Base64 encoded image
+ */
+async function postStabilityForm(endpoint, formData) {
+  if (!process.env.STABILITY_API_KEY) {
+    throw new Error('STABILITY_API_KEY environment variable is not set');
+  }
+
+  const response = await axios.post(
+    `${STABILITY_API_URL}/${endpoint}`,
+    formData,
+    {
+      validateStatus: undefined,
+      responseType: "arraybuffer",
+      headers: {
+        Authorization: `Bearer ${process.env.STABILITY_API_KEY}`,
+        Accept: "image/*",
+        ...formData.getHeaders()
+      },
+    }
+  );
+
+  if (response.status !== 200) {
+    const errorMessage = Buffer.from(response.data).toString();
+    throw new Error(`API Error (${response.status}): ${errorMessage}`);
+  }
+
+  // Convert the binary data to base64
+  return Buffer.from(response.data).toString('base64');
+}
+
+/**
+ * Appends a base64 image to a form as a PNG file upload
+ * @param {FormData} formData - The form to append to
+ * @param {string} field - Form field name
+ * @param {string} imageBase64 - Base64 encoded image
+ */
+function appendImage(formData, field, imageBase64) {
+  formData.append(field, Buffer.from(imageBase64, 'base64'), {
+    filename: `${field}.png`,
+    contentType: 'image/png'
+  });
+}
+
+/**
+ * Text-to-image with Stability's Stable Image Core endpoint. The endpoint takes
+ * an aspect ratio rather than a size, so the closest supported ratio is sent
+ * and the caller fits the result to the exact size.
+ * @param {Object} options - See the provider interface in ./index.js
+ * @returns {Promise<string>} Base64 encoded image
+ */
+async function textToImage({
+  prompt,
+  negativePrompt,
+  width = 1024,
+  height = 1024,
+  guidanceScale = 7,
+  steps = 40,
+  sampler = 'K_EULER',
+  stylePreset = 'tile-texture',
+  seed
+}) {
+  const formData = new FormData();
+  formData.append('prompt', normalizeWeights(prompt));
+  formData.append('output_format', 'png');
+  formData.append('aspect_ratio', nearestAspectRatio(width, height));
+  formData.append('cfg_scale', String(guidanceScale));
+  formData.append('steps', String(steps));
+  formData.append('sampler', sampler);
+  formData.append('style_preset', stylePreset);
+  if (negativePrompt) {
+    formData.append('negative_prompt', normalizeWeights(negativePrompt));
+  }
+  if (seed !== undefined) {
+    formData.append('seed', String(seed));
+  }
+
+  return postStabilityForm('v2beta/stable-image/generate/core', formData);
+}
+
+/**
+ * Image-to-image with Stability's SD3 endpoint. The output keeps the input's size.
+ * @param {Object} options - See the provider interface in ./index.js
+ * @returns {Promise<string>} Base64 encoded image
+ */
+async function imageToImage({ image, prompt, negativePrompt, strength = 0.35, seed }) {
+  const formData = new FormData();
+  formData.append('mode', 'image-to-image');
+  formData.append('prompt', normalizeWeights(prompt));
+  formData.append('output_format', 'png');
+  formData.append('strength', String(strength));
+  appendImage(formData, 'image', image);
+  if (negativePrompt) {
+    formData.append('negative_prompt', normalizeWeights(negativePrompt));
+  }
+  if (seed !== undefined) {
+    formData.append('seed', String(seed));
+  }
+
+  return postStabilityForm('v2beta/stable-image/generate/sd3', formData);
+}
+
+/**
+ * Inpainting with Stability's edit endpoint.
+ * The endpoint has no denoising control, so `strength` is not used.
+ * @param {Object} options - See the provider interface in ./index.js
+ * @returns {Promise<string>} Base64 encoded image
+ */
+async function inpaint({ image, mask, prompt, negativePrompt, seed }) {
+  const formData = new FormData();
+  formData.append('prompt', normalizeWeights(prompt));
+  formData.append('output_format', 'png');
+  appendImage(formData, 'image', image);
+  appendImage(formData, 'mask', mask);
+  if (negativePrompt) {
+    formData.append('negative_prompt', normalizeWeights(negativePrompt));
+  }
+  if (seed !== undefined) {
+    formData.append('seed', String(seed));
+  }
+
+  return postStabilityForm('v2beta/stable-image/edit/inpaint', formData);
+}
+
+export default {
+  name: 'stability',
+  models: {
+    textToImage: 'stable-image-core',
+    imageToImage: 'sd3',
+    inpaint: 'stable-image-inpaint'
+  },
+  supports: {
+    inpaintStrength: false,
+    tiling: false
+  },
+  textToImage,
+  imageToImage,
+  inpaint
+};
@@ -0,0 +1,111 @@
+import sharp from 'sharp';
+import { colourspaceFor } from './convertImage';
+
+export { EXPORT_SIZES } from './exportSizes';
+
+/**
+ * Lanczos3 reads 3 pixels on either side at the output scale, plus one spare
+ */
+const KERNEL_RADIUS = 4;
+
+/**
+ * Greatest common divisor
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * Picks how many wrapped pixels to add on each side of one axis before
+ * resizing. The margin must land on a whole pixel at both scales, otherwise
+ * the crop after resizing would shift the image by a fraction of a pixel.
+ * @param {number} source - Source length in pixels
+ * @param {number} target - Target length in pixels
+ * @returns {{source: number, target: number}} Margin in source and in target pixels
+ */
+function wrapMargin(source, target) {
+  const divisor = gcd(source, target);
+  const sourceStep = source / divisor;
+  const targetStep = target / divisor;
+
+  // The kernel reaches further into the source the more it shrinks
+  const needed = Math.ceil(KERNEL_RADIUS * Math.max(1, source / target));
+  const steps = Math.ceil(needed / sourceStep);
+  return { source: steps * sourceStep, target: steps * targetStep };
+}
+
+/**
+ * Size of an image scaled so its longest side is `size`, keeping the aspect ratio
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} size - Target longest side
+ * @returns {{width: number, height: number}}
+ */
+export function fitLongestSide(width, height, size) {
+  const scale = size / Math.max(width, height);
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+}
+
+/**
+ * Sizes of a full mip chain below an image: each level halves both sides
+ * (rounding down, never below 1) until the image is 1x1
+ * @param {number} width - Width of the top level
+ * @param {number} height - Height of the top level
+ * @returns {Array<{width: number, height: number}>} Levels 1 and up
+ */
+export function mipLevels(width, height) {
+  const levels = [];
+  while (width > 1 || height > 1) {
+    width = Math.max(1, Math.floor(width / 2));
+    height = Math.max(1, Math.floor(height / 2));
+    levels.push({ width, height });
+  }
+  return levels;
+}
+
+/**
+ * Resizes a tileable image without breaking its seams. A plain resize clamps
+ * at the edges, so the pixels along each edge are filtered without their
+ * neighbors from the opposite edge. Here the image is first padded with
+ * wrapped-around copies of itself, resized, and cropped back, so every output
+ * pixel is filtered as if the texture repeated.
+ * @param {string|Buffer} input - Base64 encoded image or image buffer
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {Promise<Buffer>} Lossless PNG at the target size, at the input's bit depth
+ */
+export default async function resizeTileable(input, width, height) {
+  const buffer = Buffer.isBuffer(input) ? input : Buffer.from(input, 'base64');
+  const metadata = await sharp(buffer).metadata();
+  const colourspace = colourspaceFor(metadata, metadata.depth === 'ushort' ? 16 : 8);
+
+  const marginX = wrapMargin(metadata.width, width);
+  const marginY = wrapMargin(metadata.height, height);
+
+  // sharp resizes before it extends, so the padding needs its own pass
+  const padded = await sharp(buffer)
+    .extend({
+      top: marginY.source,
+      bottom: marginY.source,
+      left: marginX.source,
+      right: marginX.source,
+      extendWith: 'repeat'
+    })
+    .toColourspace(colourspace)
+    .png({ compressionLevel: 0 })
+    .toBuffer();
+
+  // Crop after the resize (extract comes after resize in sharp's pipeline)
+  return sharp(padded)
+    .resize(width + 2 * marginX.target, height + 2 * marginY.target, { fit: 'fill', kernel: 'lanczos3' })
+    .extract({ left: marginX.target, top: marginY.target, width, height })
+    .toColourspace(colourspace)
+    .png()
+    .toBuffer();
+}
@@ -0,0 +1,78 @@
+import sharp from 'sharp';
+
+/**
+ * Aspect ratios accepted by Stability's v2beta generate endpoints
+ */
+export const STABILITY_ASPECT_RATIOS = ['21:9', '16:9', '3:2', '5:4', '1:1', '4:5', '2:3', '9:16', '9:21'];
+
+/**
+ * Picks the supported aspect ratio closest to the requested size.
+ * Ratios are compared on a log scale so 2:1 and 1:2 are equally far from 1:1.
+ * @param {number} width - Requested width
+ * @param {number} height - Requested height
+ * @param {string[]} [ratios] - Supported ratios as `W:H` strings
+ * @returns {string} The closest ratio
+ */
+export function nearestAspectRatio(width, height, ratios = STABILITY_ASPECT_RATIOS) {
+  const target = Math.log(width / height);
+  let best = ratios[0];
+  let bestDistance = Infinity;
+
+  for (const ratio of ratios) {
+    const [w, h] = ratio.split(':').map(Number);
+    const distance = Math.abs(Math.log(w / h) - target);
+    if (distance < bestDistance) {
+      best = ratio;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Snaps a requested size to one a backend can generate natively: the aspect
+ * ratio is kept, the area is scaled down to the pixel budget if needed, and
+ * both sides are rounded to the backend's multiple
+ * @param {number} width - Requested width
+ * @param {number} height - Requested height
+ * @param {Object} [constraints]
+ * @param {number} [constraints.multiple=8] - Both sides must be a multiple of this
+ * @param {number} [constraints.maxPixels=1048576] - Largest supported area
+ * @returns {{width: number, height: number}}
+ */
+export function snapDimensions(width, height, { multiple = 8, maxPixels = 1024 * 1024 } = {}) {
+  const scale = Math.min(1, Math.sqrt(maxPixels / (width * height)));
+  const snap = (size) => Math.max(multiple, Math.floor((size * scale) / multiple) * multiple);
+
+  return { width: snap(width), height: snap(height) };
+}
+
+/**
+ * Brings a generated image to an exact size. By default the image is scaled to
+ * cover the target and center-cropped, so an approximate aspect ratio from the
+ * backend is trimmed rather than stretched. Outputs that already tile must not
+ * come through here: cropping cuts through the wrap-around edges, and even
+ * `fill` clamps at them. Use lib/resizeTileable.js for those.
+ * @param {string} imageBase64 - Base64 encoded image
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @param {string} [fit='cover'] - `cover` (crop) or `fill` (stretch)
+ * @returns {Promise<string>} Base64 encoded PNG of exactly width x height
+ */
+export async function fitToSize(imageBase64, width, height, fit = 'cover') {
+  const buffer = Buffer.from(imageBase64, 'base64');
+  const metadata = await sharp(buffer).metadata();
+
+  if (metadata.width === width && metadata.height === height) {
+    return imageBase64;
+  }
+
+  console.log(`Fitting ${metadata.width}x${metadata.height} provider output to ${width}x${height}`);
+  const fitted = await sharp(buffer)
+    .resize(width, height, { fit, position: 'centre' })
+    .png()
+    .toBuffer();
+
+  return fitted.toString('base64');
+}
@@ -0,0 +1,43 @@
+import { decodeImage } from './seamless/imageUtils';
+import { analyzeSeams } from './seamAnalysis';
+
+// Scores below this are reported as not tileable. Perfect tiles (offset photos,
+// periodic noise and sinusoids) score 0.97 and up; a 3-level brightness step
+// across the seam of a photo scores about 0.72, a 4-level step about 0.53.
+const DEFAULT_THRESHOLD = 0.7;
+
+/**
+ * Rounds a ratio or score for the JSON response
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Computes the tileability score of an image
+ * @param {string} imageBase64 - Base64 encoded image
+ * @returns {Promise<{score: number, tileable: boolean, threshold: number, leftRight: Object, topBottom: Object}>}
+ * Overall 0-1 score, whether it passes SEAM_SCORE_THRESHOLD (default 0.7), and the
+ * color/gradient discontinuity ratios for each seam (1 means as smooth as the interior)
+ */
+export default async function scoreSeams(imageBase64) {
+  const { data, width, height, channels } = await decodeImage(imageBase64);
+  const analysis = analyzeSeams(data, width, height, channels);
+  const threshold = Number(process.env.SEAM_SCORE_THRESHOLD) || DEFAULT_THRESHOLD;
+
+  const summarize = ({ colorRatio, gradientRatio, score }) => ({
+    score: round(score),
+    colorRatio: round(colorRatio),
+    gradientRatio: round(gradientRatio)
+  });
+
+  return {
+    score: round(analysis.score),
+    tileable: analysis.score >= threshold,
+    threshold,
+    leftRight: summarize(analysis.leftRight),
+    topBottom: summarize(analysis.topBottom)
+  };
+}
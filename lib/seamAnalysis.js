@@ -0,0 +1,111 @@
+/**
+ * Seam analysis on raw pixel arrays. This file has no Node dependencies so it
+ * can run on canvas ImageData in the browser as well as on sharp output.
+ */
+
+// Floor for the interior baselines: steps under two 8-bit levels are invisible,
+// and flat images would otherwise divide by zero
+const MIN_BASELINE = 2;
+
+// Steps on each side of a seam that form its baseline. Comparing with the
+// neighbourhood rather than the whole image keeps smooth textures, whose
+// steps vary across the image (a sinusoid is steepest where it wraps), from
+// reading as seams.
+const BASELINE_BAND = 6;
+
+/**
+ * Turns a seam/interior ratio into a 0-1 score. A seam no stronger than the
+ * steps next to it scores 1; twice as strong scores 0.5.
+ * @param {number} ratio - Seam difference divided by the interior baseline
+ * @returns {number}
+ */
+function ratioToScore(ratio) {
+  return 1 / (1 + Math.max(0, ratio - 1));
+}
+
+/**
+ * Measures one wrap-around seam. Lines are read through `sample(line, position, channel)`,
+ * where `position` runs along the axis that crosses the seam, so the same code handles
+ * the left/right seam (lines are rows) and the top/bottom seam (lines are columns).
+ * @param {number} lineCount - Number of lines crossing the seam
+ * @param {number} length - Pixels per line
+ * @param {number} channels - Channels compared per pixel
+ * @param {Function} sample - Pixel accessor
+ * @returns {{colorRatio: number, gradientRatio: number, score: number, profile: Float32Array, baseline: number}}
+ *   `profile` is the color step across the seam on each line; `baseline` is the average step in the
+ *   BASELINE_BAND pixels on either side of the seam
+ */
+function measureSeam(lineCount, length, channels, sample) {
+  // Small images get a narrower band, so no step is counted twice
+  const band = Math.max(1, Math.min(BASELINE_BAND, Math.floor((length - 3) / 2)));
+  let seamColor = 0;
+  let seamGradient = 0;
+  let nearColor = 0;
+  let nearGradient = 0;
+  const profile = new Float32Array(lineCount);
+
+  for (let line = 0; line < lineCount; line++) {
+    let lineSeam = 0;
+
+    for (let c = 0; c < channels; c++) {
+      const at = (position) => sample(line, ((position % length) + length) % length, c);
+      // Color step into `position`, and how much it departs from the steps around it
+      const stepAt = (position) => at(position) - at(position - 1);
+      const kinkAt = (position) => stepAt(position) - (stepAt(position - 1) + stepAt(position + 1)) / 2;
+
+      const step = stepAt(0);
+      seamColor += Math.abs(step);
+      seamGradient += Math.abs(kinkAt(0));
+      lineSeam += Math.abs(step);
+
+      // The same measures just inside the image on both sides, as the baseline
+      for (let offset = 1; offset <= band; offset++) {
+        nearColor += Math.abs(stepAt(offset)) + Math.abs(stepAt(-offset));
+        nearGradient += Math.abs(kinkAt(offset)) + Math.abs(kinkAt(-offset));
+      }
+    }
+
+    profile[line] = lineSeam / channels;
+  }
+
+  const seamSamples = lineCount * channels;
+  const nearSamples = seamSamples * 2 * band;
+  const baseline = Math.max(nearColor / nearSamples, MIN_BASELINE);
+  const colorRatio = (seamColor / seamSamples) / baseline;
+  const gradientRatio = (seamGradient / seamSamples) / Math.max(nearGradient / nearSamples, MIN_BASELINE);
+
+  return {
+    colorRatio,
+    gradientRatio,
+    score: 0.6 * ratioToScore(colorRatio) + 0.4 * ratioToScore(gradientRatio),
+    profile,
+    baseline
+  };
+}
+
+/**
+ * Scores how well an image tiles by comparing the discontinuity across its
+ * wrap-around edges with the pixel-to-pixel variation next to them, in both
+ * color and gradient.
+ * @param {Uint8Array|Uint8ClampedArray|Buffer} pixels - Interleaved pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} channels - Channels per pixel; a 4th (alpha) channel is ignored
+ * @returns {{score: number, leftRight: Object, topBottom: Object}} Overall score (0-1,
+ * the weaker of the two seams) plus per-seam color/gradient ratios, scores and
+ * per-line discontinuity profiles
+ */
+export function analyzeSeams(pixels, width, height, channels) {
+  const colorChannels = Math.min(channels, 3);
+
+  const leftRight = measureSeam(height, width, colorChannels,
+    (row, x, c) => pixels[(row * width + x) * channels + c]);
+  const topBottom = measureSeam(width, height, colorChannels,
+    (column, y, c) => pixels[(y * width + column) * channels + c]);
+
+  return {
+    score: Math.min(leftRight.score, topBottom.score),
+    leftRight,
+    topBottom
+  };
+}
@@ -0,0 +1,69 @@
+import sharp from 'sharp';
+import { decodeImage, encodePngBase64, blendImages } from './imageUtils';
+
+/**
+ * Blurs a raw image as if it were tiled, by padding it with wrapped copies of
+ * the opposite edges before blurring and cropping the padding off afterwards
+ * @param {{data: Buffer, width: number, height: number, channels: number}} image - Raw image
+ * @param {number} sigma - Gaussian blur sigma
+ * @returns {Promise<{data: Buffer, width: number, height: number, channels: number}>} Blurred raw image
+ */
+async function wrapBlur({ data, width, height, channels }, sigma) {
+  const margin = Math.ceil(sigma * 3);
+  const raw = { channels };
+
+  // Separate sharp calls keep the pad -> blur -> crop order explicit
+  const padded = await sharp(data, { raw: { ...raw, width, height } })
+    .extend({ top: margin, bottom: margin, left: margin, right: margin, extendWith: 'repeat' })
+    .raw()
+    .toBuffer();
+
+  const paddedSize = { width: width + margin * 2, height: height + margin * 2 };
+  const blurred = await sharp(padded, { raw: { ...raw, ...paddedSize } })
+    .blur(sigma)
+    .raw()
+    .toBuffer();
+
+  const cropped = await sharp(blurred, { raw: { ...raw, ...paddedSize } })
+    .extract({ left: margin, top: margin, width, height })
+    .raw()
+    .toBuffer();
+
+  return { data: cropped, width, height, channels };
+}
+
+/**
+ * Makes a texture seamless without any AI call. A wrap-around blur is
+ * continuous across the tile edges, so it is faded in over a band along every
+ * edge and heals the seam while the interior keeps its original detail.
+ * @param {string} imageBase64 - Base64 encoded input image
+ * @param {string} prompt - Unused, kept for the strategy signature
+ * @param {Object} [options]
+ * @param {number} [options.healWidth] - Band along each edge in pixels (defaults to 10% of the shorter side)
+ * @param {number} [options.blurSigma] - Blur sigma (defaults to half the band)
+ * @returns {Promise<string>} Base64 encoded seamless texture
+ */
+export default async function blurHeal(imageBase64, prompt, options = {}) {
+  const original = await decodeImage(imageBase64);
+  const { width, height } = original;
+  const healWidth = options.healWidth || Math.max(2, Math.round(Math.min(width, height) * 0.1));
+  const blurSigma = options.blurSigma || Math.max(1, healWidth / 2);
+
+  const blurred = await wrapBlur(original, blurSigma);
+
+  // Weight 1 on the outermost pixels, falling to 0 at healWidth from the edge
+  const edgeWeight = (position, size) => {
+    const distance = Math.min(position + 0.5, size - position - 0.5);
+    return Math.max(0, 1 - distance / healWidth);
+  };
+
+  const weights = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const rowWeight = edgeWeight(y, height);
+    for (let x = 0; x < width; x++) {
+      weights[y * width + x] = Math.max(rowWeight, edgeWeight(x, width));
+    }
+  }
+
+  return encodePngBase64(blendImages(original, blurred, weights));
+}
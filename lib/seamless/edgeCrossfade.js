@@ -0,0 +1,77 @@
+import resizeTileable from '../resizeTileable';
+import { decodeImage, encodePngBase64 } from './imageUtils';
+
+/**
+ * Folds the last `overlap` columns onto the first ones with a linear crossfade,
+ * shrinking the width by `overlap`. The new last column is followed, when
+ * tiled, by a column that is almost entirely its original right-hand neighbour.
+ * @param {{data: Buffer, width: number, height: number, channels: number}} image - Raw image
+ * @param {number} overlap - Number of columns to crossfade
+ * @returns {{data: Buffer, width: number, height: number, channels: number}} Narrower raw image
+ */
+function crossfadeColumns({ data, width, height, channels }, overlap) {
+  const outWidth = width - overlap;
+  const output = Buffer.alloc(outWidth * height * channels);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      const target = (y * outWidth + x) * channels;
+      const source = (y * width + x) * channels;
+
+      if (x >= overlap) {
+        data.copy(output, target, source, source + channels);
+        continue;
+      }
+
+      const t = (x + 0.5) / overlap;
+      const wrapped = (y * width + outWidth + x) * channels;
+      for (let c = 0; c < channels; c++) {
+        output[target + c] = Math.round(data[source + c] * t + data[wrapped + c] * (1 - t));
+      }
+    }
+  }
+
+  return { data: output, width: outWidth, height, channels };
+}
+
+/**
+ * Swaps rows and columns so the vertical pass can reuse the column crossfade
+ * @param {{data: Buffer, width: number, height: number, channels: number}} image - Raw image
+ * @returns {{data: Buffer, width: number, height: number, channels: number}} Transposed raw image
+ */
+function transpose({ data, width, height, channels }) {
+  const output = Buffer.alloc(data.length);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const source = (y * width + x) * channels;
+      data.copy(output, (x * height + y) * channels, source, source + channels);
+    }
+  }
+
+  return { data: output, width: height, height: width, channels };
+}
+
+/**
+ * Makes a texture seamless without any AI call by crossfading each edge into
+ * the opposite one over a band of `overlap` pixels, then resizing back to the
+ * input size with a wrap-aware resample, so the edges stay continuous.
+ * @param {string} imageBase64 - Base64 encoded input image
+ * @param {string} prompt - Unused, kept for the strategy signature
+ * @param {Object} [options]
+ * @param {number} [options.overlap] - Crossfade band in pixels (defaults to 15% of the shorter side)
+ * @returns {Promise<string>} Base64 encoded seamless texture
+ */
+export default async function edgeCrossfade(imageBase64, prompt, options = {}) {
+  const original = await decodeImage(imageBase64);
+  const { width, height } = original;
+  const maxOverlap = Math.floor(Math.min(width, height) / 2) - 1;
+  const overlap = Math.min(options.overlap || Math.round(Math.min(width, height) * 0.15), maxOverlap);
+
+  const horizontal = crossfadeColumns(original, overlap);
+  const both = transpose(crossfadeColumns(transpose(horizontal), overlap));
+
+  // A plain resize clamps at the borders and would put a seam back where the crossfade removed it
+  const resized = await resizeTileable(await encodePngBase64(both), width, height);
+  return resized.toString('base64');
+}
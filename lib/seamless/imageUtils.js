@@ -0,0 +1,126 @@
+import sharp from 'sharp';
+
+/**
+ * Decodes an image into raw RGB pixels
+ * @param {string|Buffer} input - Base64 encoded image or image buffer
+ * @returns {Promise<{data: Buffer, width: number, height: number, channels: number}>}
+ */
+export async function decodeImage(input) {
+  const buffer = Buffer.isBuffer(input) ? input : Buffer.from(input, 'base64');
+  const { data, info } = await sharp(buffer)
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return { data, width: info.width, height: info.height, channels: info.channels };
+}
+
+/**
+ * Encodes raw pixels as a base64 PNG
+ * @param {{data: Buffer, width: number, height: number, channels: number}} image - Raw image
+ * @returns {Promise<string>} Base64 encoded PNG
+ */
+export async function encodePngBase64({ data, width, height, channels }) {
+  const png = await sharp(data, { raw: { width, height, channels } })
+    .png()
+    .toBuffer();
+
+  return png.toString('base64');
+}
+
+/**
+ * Resizes a base64 image to exact dimensions, stretching if the aspect differs.
+ * Providers do not always return the size they were asked for.
+ * @param {string} imageBase64 - Base64 encoded image
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {Promise<{data: Buffer, width: number, height: number, channels: number}>} Raw image
+ */
+export async function decodeImageAtSize(imageBase64, width, height) {
+  const resized = await sharp(Buffer.from(imageBase64, 'base64'))
+    .resize(width, height, { fit: 'fill' })
+    .png()
+    .toBuffer();
+
+  return decodeImage(resized);
+}
+
+/**
+ * Circularly shifts an image, wrapping pixels around the edges.
+ * Shifting by half the size on both axes is the diagonal quadrant swap.
+ * @param {{data: Buffer, width: number, height: number, channels: number}} image - Raw image
+ * @param {number} dx - Horizontal shift in pixels
+ * @param {number} dy - Vertical shift in pixels
+ * @returns {{data: Buffer, width: number, height: number, channels: number}} Shifted raw image
+ */
+export function offsetImage({ data, width, height, channels }, dx, dy) {
+  const shifted = Buffer.alloc(data.length);
+  const rowBytes = width * channels;
+  const shiftX = ((dx % width) + width) % width;
+  const shiftY = ((dy % height) + height) % height;
+
+  for (let y = 0; y < height; y++) {
+    const sourceRow = y * rowBytes;
+    const targetRow = ((y + shiftY) % height) * rowBytes;
+    const splitBytes = (width - shiftX) * channels;
+
+    // The row is moved in two runs: the part that slides right and the part that wraps to the start
+    data.copy(shifted, targetRow + shiftX * channels, sourceRow, sourceRow + splitBytes);
+    data.copy(shifted, targetRow, sourceRow + splitBytes, sourceRow + rowBytes);
+  }
+
+  return { data: shifted, width, height, channels };
+}
+
+/**
+ * Linearly blends two raw images of the same size with a per-pixel weight
+ * @param {{data: Buffer, width: number, height: number, channels: number}} base - Image used where the weight is 0
+ * @param {{data: Buffer, width: number, height: number, channels: number}} overlay - Image used where the weight is 1
+ * @param {Float32Array} weights - One weight in [0, 1] per pixel
+ * @returns {{data: Buffer, width: number, height: number, channels: number}} Blended raw image
+ */
+export function blendImages(base, overlay, weights) {
+  const { width, height, channels } = base;
+  const blended = Buffer.alloc(base.data.length);
+
+  for (let pixel = 0; pixel < width * height; pixel++) {
+    const weight = weights[pixel];
+    for (let c = 0; c < channels; c++) {
+      const i = pixel * channels + c;
+      blended[i] = Math.round(base.data[i] * (1 - weight) + overlay.data[i] * weight);
+    }
+  }
+
+  return { data: blended, width, height, channels };
+}
+
+/**
+ * Builds a per-pixel weight map for a cross centered on the given seam lines.
+ * Weights are 1 within `innerHalfWidth` of a seam and fall linearly to 0 at `outerHalfWidth`.
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} seamX - Column boundary of the vertical seam
+ * @param {number} seamY - Row boundary of the horizontal seam
+ * @param {number} innerHalfWidth - Half width of the fully weighted band
+ * @param {number} outerHalfWidth - Half width at which the weight reaches 0
+ * @returns {Float32Array} One weight per pixel
+ */
+export function createCrossWeights(width, height, seamX, seamY, innerHalfWidth, outerHalfWidth) {
+  const weights = new Float32Array(width * height);
+  const ramp = Math.max(outerHalfWidth - innerHalfWidth, 1e-6);
+  const bandWeight = (distance) => Math.min(1, Math.max(0, (outerHalfWidth - distance) / ramp));
+
+  const columnWeights = new Float32Array(width);
+  for (let x = 0; x < width; x++) {
+    columnWeights[x] = bandWeight(Math.abs(x + 0.5 - seamX));
+  }
+
+  for (let y = 0; y < height; y++) {
+    const rowWeight = bandWeight(Math.abs(y + 0.5 - seamY));
+    for (let x = 0; x < width; x++) {
+      weights[y * width + x] = Math.max(rowWeight, columnWeights[x]);
+    }
+  }
+
+  return weights;
+}
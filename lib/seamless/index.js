@@ -0,0 +1,50 @@
+import quadrantInpaint from './quadrantInpaint';
+import offsetBlend from './offsetBlend';
+import edgeCrossfade from './edgeCrossfade';
+import blurHeal from './blurHeal';
+
+/**
+ * Name of the default strategy: direct SDXL tiling with mirror-based fallbacks,
+ * implemented in lib/makeTextureSeamless.js
+ */
+export const DEFAULT_STRATEGY = 'sdxl';
+
+/**
+ * Selectable seamless strategies besides the default.
+ * Each is called as `strategy(imageBase64, prompt, options)` and resolves to a
+ * base64 encoded PNG; `options.provider` is the resolved image provider.
+ */
+export const SEAMLESS_STRATEGIES = {
+  'quadrant-inpaint': quadrantInpaint,
+  'offset-blend': offsetBlend,
+  'edge-crossfade': edgeCrossfade,
+  'blur-heal': blurHeal
+};
+
+/**
+ * Provider method each AI strategy relies on; the other strategies call none
+ */
+export const STRATEGY_PROVIDER_METHODS = {
+  [DEFAULT_STRATEGY]: 'imageToImage',
+  'quadrant-inpaint': 'inpaint'
+};
+
+/**
+ * Strategies that run fully locally with sharp and pixel math: no API key
+ * needed, and the same input always gives the same output
+ */
+export const OFFLINE_STRATEGIES = ['offset-blend', 'edge-crossfade', 'blur-heal'];
+
+/**
+ * All strategy names accepted by makeTextureSeamless
+ */
+export const STRATEGY_NAMES = [DEFAULT_STRATEGY, ...Object.keys(SEAMLESS_STRATEGIES)];
+
+/**
+ * Checks whether a strategy name is known
+ * @param {string} name - Strategy name
+ * @returns {boolean}
+ */
+export function isSeamlessStrategy(name) {
+  return STRATEGY_NAMES.includes(name);
+}
@@ -0,0 +1,33 @@
+import {
+  decodeImage,
+  encodePngBase64,
+  offsetImage,
+  blendImages,
+  createCrossWeights
+} from './imageUtils';
+
+/**
+ * Makes a texture seamless without any AI call. The image is offset by half its
+ * size, which makes the outer edges wrap perfectly but moves the seams into a
+ * center cross; the cross is then covered with a feathered blend of the
+ * unshifted original, and the result is shifted back into place.
+ * @param {string} imageBase64 - Base64 encoded input image
+ * @param {string} prompt - Unused, kept for the strategy signature
+ * @param {Object} [options]
+ * @param {number} [options.blendWidth] - Width of the blended cross in pixels (defaults to a quarter of the shorter side)
+ * @returns {Promise<string>} Base64 encoded seamless texture
+ */
+export default async function offsetBlend(imageBase64, prompt, options = {}) {
+  const original = await decodeImage(imageBase64);
+  const { width, height } = original;
+  const seamX = Math.floor(width / 2);
+  const seamY = Math.floor(height / 2);
+  const blendWidth = options.blendWidth || Math.round(Math.min(width, height) / 4);
+
+  const offset = offsetImage(original, seamX, seamY);
+  // The innermost eighth is pure original so no trace of the shifted seam remains
+  const weights = createCrossWeights(width, height, seamX, seamY, blendWidth / 8, blendWidth / 2);
+  const blended = blendImages(offset, original, weights);
+
+  return encodePngBase64(offsetImage(blended, width - seamX, height - seamY));
+}
@@ -0,0 +1,64 @@
+import { getPreset } from '../presets';
+import {
+  decodeImage,
+  decodeImageAtSize,
+  encodePngBase64,
+  offsetImage,
+  blendImages,
+  createCrossWeights
+} from './imageUtils';
+
+/**
+ * Makes a texture seamless with the quadrant swap technique: the quadrants are
+ * swapped diagonally so the wrap-around edges meet in a center cross, the
+ * cross is inpainted, and the quadrants are swapped back. Pixels outside the
+ * cross keep their original values, so the source content is preserved.
+ * @param {string} imageBase64 - Base64 encoded input image
+ * @param {string} prompt - The texture prompt (already enhanced with template)
+ * @param {Object} options
+ * @param {Object} options.provider - Image provider that runs the inpainting
+ * @param {number} [options.maskWidth=64] - Width of the center cross in pixels
+ * @param {number} [options.denoisingStrength=0.4] - How strongly the cross is repainted (0-1)
+ * @param {number} [options.seed] - Inpainting seed
+ * @param {string} [options.negativePrompt] - Negative prompt (defaults to the default preset's)
+ * @returns {Promise<string>} Base64 encoded seamless texture
+ */
+export default async function quadrantInpaint(imageBase64, prompt, options) {
+  const { provider, maskWidth = 64, denoisingStrength = 0.4, seed, negativePrompt = getPreset().seamless.negative } = options;
+
+  const original = await decodeImage(imageBase64);
+  const { width, height } = original;
+  const seamX = Math.floor(width / 2);
+  const seamY = Math.floor(height / 2);
+
+  console.log("Step 1: Swapping quadrants diagonally");
+  const swapped = offsetImage(original, seamX, seamY);
+
+  console.log(`Step 2: Creating ${maskWidth}px center cross mask`);
+  const halfMask = maskWidth / 2;
+  const hardMask = createCrossWeights(width, height, seamX, seamY, halfMask, halfMask);
+  const maskPixels = Buffer.alloc(width * height);
+  for (let i = 0; i < hardMask.length; i++) {
+    maskPixels[i] = hardMask[i] > 0 ? 255 : 0;
+  }
+
+  console.log(`Step 3: Inpainting center cross with ${provider.name}`);
+  const inpaintedBase64 = await provider.inpaint({
+    image: await encodePngBase64(swapped),
+    mask: await encodePngBase64({ data: maskPixels, width, height, channels: 1 }),
+    prompt,
+    negativePrompt,
+    strength: denoisingStrength,
+    width,
+    height,
+    seed
+  });
+  const inpainted = await decodeImageAtSize(inpaintedBase64, width, height);
+
+  // Only take the cross from the inpainted result, feathering its inner quarter into the original
+  const featherWeights = createCrossWeights(width, height, seamX, seamY, halfMask / 2, halfMask);
+  const merged = blendImages(swapped, inpainted, featherWeights);
+
+  console.log("Step 4: Swapping quadrants back");
+  return encodePngBase64(offsetImage(merged, width - seamX, height - seamY));
+}
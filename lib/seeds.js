@@ -0,0 +1,12 @@
+/**
+ * Largest seed every provider accepts (Stability's upper bound)
+ */
+export const MAX_SEED = 4294967294;
+
+/**
+ * Picks a random seed, so a generation can always report the seed it used
+ * @returns {number}
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * (MAX_SEED + 1));
+}
@@ -0,0 +1,154 @@
+import sharp from 'sharp';
+import makeTextureSeamless from './makeTextureSeamless';
+import scoreSeams from './scoreSeams';
+import { STRATEGY_NAMES } from './seamless';
+
+/**
+ * Strategy name that selects best-of-N mode instead of a single strategy
+ */
+export const BEST_OF_STRATEGY = 'best';
+
+// Share of the total score that comes from tileability; the rest is fidelity
+const DEFAULT_TILEABILITY_WEIGHT = 0.7;
+
+// Mean absolute difference (0-255) at which fidelity reaches 0
+const MAX_FIDELITY_DIFFERENCE = 64;
+
+// Side of the thumbnails compared for fidelity, so small shifts and noise don't dominate
+const FIDELITY_SAMPLE_SIZE = 64;
+
+/**
+ * Renders a small RGB thumbnail for comparison
+ * @param {string} imageBase64 - Base64 encoded image
+ * @returns {Promise<Buffer>} Raw RGB pixels
+ */
+function thumbnail(imageBase64) {
+  return sharp(Buffer.from(imageBase64, 'base64'))
+    .removeAlpha()
+    .resize(FIDELITY_SAMPLE_SIZE, FIDELITY_SAMPLE_SIZE, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+}
+
+/**
+ * Measures how closely a result resembles the input texture
+ * @param {Buffer} inputThumbnail - Raw thumbnail of the input
+ * @param {string} resultBase64 - Base64 encoded result
+ * @returns {Promise<number>} 1 for identical images, falling to 0
+ */
+async function measureFidelity(inputThumbnail, resultBase64) {
+  const resultThumbnail = await thumbnail(resultBase64);
+  let difference = 0;
+
+  for (let i = 0; i < inputThumbnail.length; i++) {
+    difference += Math.abs(inputThumbnail[i] - resultThumbnail[i]);
+  }
+
+  const meanDifference = difference / inputThumbnail.length;
+  return Math.max(0, 1 - meanDifference / MAX_FIDELITY_DIFFERENCE);
+}
+
+/**
+ * Runs several seamless strategies in parallel, scores every result for
+ * tileability and fidelity to the input, and returns the best one
+ * @param {string} inputImageBase64 - Base64 encoded input image
+ * @param {string} prompt - The texture prompt
+ * @param {Object} [options] - Passed on to makeTextureSeamless, plus:
+ * @param {string[]} [options.candidates] - Strategies to compare (defaults to all of them)
+ * @param {number} [options.tileabilityWeight=0.7] - Weight of tileability against fidelity (0-1)
+ * @param {Function} [options.onProgress] - Progress callback, see makeTextureSeamless. Events from a
+ *   candidate carry its name in `strategy`.
+ * @returns {Promise<{image: string, strategy: string, ranking: Object[]}>} The winning image and
+ * strategy, and every candidate ranked best first with its scores and the reasons for its place.
+ * An sdxl candidate that fell back past the mirror pass counts as failed.
+ */
+export default async function selectBestSeamless(inputImageBase64, prompt, options = {}) {
+  const {
+    candidates = STRATEGY_NAMES,
+    tileabilityWeight = DEFAULT_TILEABILITY_WEIGHT,
+    onProgress = () => {},
+    ...strategyOptions
+  } = options;
+
+  console.log(`Comparing seamless strategies: ${candidates.join(', ')}`);
+  onProgress({ stage: 'compare', message: `Comparing strategies: ${candidates.join(', ')}` });
+
+  const inputThumbnail = await thumbnail(inputImageBase64);
+  const settled = await Promise.allSettled(
+    candidates.map(async (strategy) => {
+      // Candidates run side by side, so tag their events with the strategy they belong to
+      const fallbacks = [];
+      const image = await makeTextureSeamless(inputImageBase64, prompt, {
+        ...strategyOptions,
+        strategy,
+        onProgress: (event) => {
+          if (event.fallback) {
+            fallbacks.push(event.fallback);
+          }
+          onProgress({ ...event, message: `${strategy}: ${event.message}`, strategy });
+        }
+      });
+
+      // The sdxl path never throws: past the mirror fallback its result is offset-blend's or the
+      // untouched input, which must not be ranked as sdxl
+      const fallback = fallbacks[fallbacks.length - 1];
+      if (fallback && fallback !== 'mirror') {
+        throw new Error(`fell back to ${fallback}`);
+      }
+      const seamScore = await scoreSeams(image);
+      const fidelity = await measureFidelity(inputThumbnail, image);
+      onProgress({
+        stage: 'compare',
+        message: `${strategy}: seam score ${seamScore.score.toFixed(2)}, fidelity ${fidelity.toFixed(2)}`,
+        strategy,
+        preview: image
+      });
+      return { strategy, image, seamScore, fidelity, fallbacks };
+    })
+  );
+
+  const succeeded = [];
+  const failed = [];
+
+  settled.forEach((outcome, index) => {
+    if (outcome.status === 'fulfilled') {
+      const { seamScore, fidelity } = outcome.value;
+      const total = tileabilityWeight * seamScore.score + (1 - tileabilityWeight) * fidelity;
+      succeeded.push({ ...outcome.value, total: Math.round(total * 1000) / 1000 });
+    } else {
+      console.error(`Strategy ${candidates[index]} failed:`, outcome.reason);
+      failed.push({ strategy: candidates[index], error: outcome.reason.message });
+    }
+  });
+
+  if (succeeded.length === 0) {
+    throw new Error(`All seamless strategies failed: ${failed.map(f => `${f.strategy} (${f.error})`).join('; ')}`);
+  }
+
+  succeeded.sort((a, b) => b.total - a.total);
+  const best = succeeded[0];
+
+  const ranking = [
+    ...succeeded.map(({ strategy, seamScore, fidelity, fallbacks, total }, index) => {
+      const reasons = [
+        `tileability ${seamScore.score.toFixed(2)} (left/right ${seamScore.leftRight.score.toFixed(2)}, top/bottom ${seamScore.topBottom.score.toFixed(2)})`,
+        `fidelity to the input ${fidelity.toFixed(2)}`
+      ];
+      if (fallbacks.length > 0) {
+        reasons.push(`fell back to ${fallbacks.join(', then ')}`);
+      }
+      if (!seamScore.tileable) {
+        reasons.push(`below the tileability threshold of ${seamScore.threshold}`);
+      }
+      if (index > 0) {
+        reasons.push(`total ${(best.total - total).toFixed(3)} behind ${best.strategy}`);
+      }
+
+      return { rank: index + 1, strategy, total, seamScore, fidelity: Math.round(fidelity * 1000) / 1000, reasons };
+    }),
+    ...failed.map(({ strategy, error }) => ({ rank: null, strategy, total: null, reasons: [`failed: ${error}`] }))
+  ];
+
+  console.log(`✓ Best seamless strategy: ${best.strategy} (total ${best.total})`);
+  return { image: best.image, strategy: best.strategy, ranking };
+}
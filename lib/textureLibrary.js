@@ -0,0 +1,344 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { v4 as uuidv4 } from 'uuid';
+import { extensionForMimeType, mimeTypeForExtension } from './convertImage';
+import createPreview from './createPreview';
+import { STRATEGY_NAMES } from './seamless';
+
+/**
+ * Directory the library is stored in (TEXTURE_LIBRARY_DIR, default `texture-library`
+ * in the working directory). Each texture gets a folder named by its id, holding
+ * its images and a `metadata.json`.
+ */
+export const TEXTURE_LIBRARY_DIR = path.resolve(process.env.TEXTURE_LIBRARY_DIR || 'texture-library');
+
+/**
+ * Page size of listings when the query sends none, and the largest allowed
+ */
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Limits on the tags of one texture
+ */
+export const MAX_TAGS = 16;
+export const MAX_TAG_LENGTH = 32;
+
+const METADATA_FILE = 'metadata.json';
+
+// Longest side of the thumbnail kept in the metadata for listings
+const THUMBNAIL_SIZE = 128;
+
+// Ids are uuids; checking the shape also keeps ids from reaching outside the library
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Normalizes a tag list: trimmed, lowercase, without duplicates or empty tags
+ * @param {string[]|string} [tags] - List of tags, or a comma-separated string
+ * @returns {{tags: string[], error: string|null}}
+ */
+export function validateTags(tags) {
+  if (tags === undefined) {
+    return { tags: [], error: null };
+  }
+
+  const list = typeof tags === 'string' ? tags.split(',') : tags;
+  if (!Array.isArray(list) || !list.every((tag) => typeof tag === 'string')) {
+    return { tags: [], error: 'tags must be a list of strings' };
+  }
+
+  const normalized = [...new Set(list.map((tag) => tag.trim().toLowerCase()).filter(Boolean))];
+  if (normalized.length > MAX_TAGS) {
+    return { tags: [], error: `At most ${MAX_TAGS} tags are allowed` };
+  }
+  if (normalized.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    return { tags: [], error: `Tags must be at most ${MAX_TAG_LENGTH} characters` };
+  }
+
+  return { tags: normalized, error: null };
+}
+
+/**
+ * Parses a date filter: an ISO date or date-time, or a millisecond timestamp.
+ * A bare date as the upper bound covers that whole day.
+ * @param {string} value - Query value
+ * @param {boolean} endOfDay - Whether a bare date means the end of the day
+ * @returns {number|null} Timestamp, or null if the value is not a date
+ */
+function parseDate(value, endOfDay) {
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    return null;
+  }
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+/**
+ * Checks the query of a library listing
+ * @param {Object} query - Query parameters: `q`, `tags`, `strategy`, `from`, `to`, `page`, `pageSize`
+ * @returns {{filters: Object|null, errors: string[]}} The parsed filters, or the error messages
+ */
+export function validateLibraryQuery(query = {}) {
+  const errors = [];
+  const { q, strategy, from, to, page = '1', pageSize = String(DEFAULT_PAGE_SIZE) } = query;
+
+  const { tags, error: tagError } = validateTags(Array.isArray(query.tags) ? query.tags.join(',') : query.tags);
+  if (tagError) {
+    errors.push(tagError);
+  }
+
+  if (strategy !== undefined && !STRATEGY_NAMES.includes(strategy)) {
+    errors.push(`Unknown strategy "${strategy}". Available strategies: ${STRATEGY_NAMES.join(', ')}`);
+  }
+
+  const fromTime = from === undefined ? null : parseDate(from, false);
+  if (from !== undefined && fromTime === null) {
+    errors.push('from must be an ISO date or a timestamp');
+  }
+  const toTime = to === undefined ? null : parseDate(to, true);
+  if (to !== undefined && toTime === null) {
+    errors.push('to must be an ISO date or a timestamp');
+  }
+
+  const pageNumber = Number(page);
+  if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+    errors.push('page must be a positive integer');
+  }
+  const size = Number(pageSize);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+    errors.push(`pageSize must be an integer from 1 to ${MAX_PAGE_SIZE}`);
+  }
+
+  if (errors.length > 0) {
+    return { filters: null, errors };
+  }
+
+  return {
+    filters: {
+      text: typeof q === 'string' ? q.trim().toLowerCase() : '',
+      tags,
+      strategy,
+      from: fromTime,
+      to: toTime,
+      page: pageNumber,
+      pageSize: size
+    },
+    errors
+  };
+}
+
+/**
+ * Folder of a texture, or null for anything that is not a texture id
+ * @param {string} id - Texture id
+ * @returns {string|null}
+ */
+function textureDir(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id) ? path.join(TEXTURE_LIBRARY_DIR, id) : null;
+}
+
+/**
+ * Splits a data URL into its bytes and file extension
+ * @param {string} dataUrl - Image data URL
+ * @returns {{buffer: Buffer, extension: string}}
+ */
+function decodeDataUrl(dataUrl) {
+  const match = dataUrl.match(/^data:([^;,]*)[^,]*,/);
+  return {
+    buffer: Buffer.from(dataUrl.slice(match ? match[0].length : 0), 'base64'),
+    extension: extensionForMimeType(match ? match[1] : 'image/png')
+  };
+}
+
+/**
+ * Reads a stored image back as a data URL
+ * @param {string} dir - Texture folder
+ * @param {string} file - File name in the folder
+ * @returns {Promise<string>}
+ */
+async function readDataUrl(dir, file) {
+  const buffer = await fs.readFile(path.join(dir, file));
+  return `data:${mimeTypeForExtension(path.extname(file).slice(1))};base64,${buffer.toString('base64')}`;
+}
+
+/**
+ * Reads a texture's metadata
+ * @param {string} dir - Texture folder
+ * @returns {Promise<Object|null>} The metadata, or null when the folder holds no complete texture
+ */
+async function readMetadata(dir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(dir, METADATA_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR' || error instanceof SyntaxError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Stores one finished texture, its maps and its metadata in the library. The
+ * metadata is written last, so a texture only appears in listings once all
+ * its images are on disk.
+ * @param {Object} result - One makeImageSeamless result (a single variation for batches)
+ * @param {Object} request - Normalized request the texture was made from
+ * @returns {Promise<Object>} The stored metadata
+ */
+async function saveTexture(result, request) {
+  const id = uuidv4();
+  const dir = path.join(TEXTURE_LIBRARY_DIR, id);
+  await fs.mkdir(dir, { recursive: true });
+
+  const texture = decodeDataUrl(result.imageUrl);
+  const files = { texture: `texture.${texture.extension}`, maps: {} };
+  await fs.writeFile(path.join(dir, files.texture), texture.buffer);
+
+  for (const [name, dataUrl] of Object.entries(result.maps || {})) {
+    const map = decodeDataUrl(dataUrl);
+    files.maps[name] = `${name}.${map.extension}`;
+    await fs.writeFile(path.join(dir, files.maps[name]), map.buffer);
+  }
+
+  const { width, height } = await sharp(texture.buffer).metadata();
+  // Batches share one request; the seeds each variation actually used are in `seeds`
+  const { count, ...params } = request.params;
+
+  const metadata = {
+    id,
+    createdAt: new Date().toISOString(),
+    mode: request.image ? 'upload' : 'generate',
+    prompt: result.prompt,
+    preset: result.preset,
+    variables: result.variables,
+    prompts: result.prompts,
+    negativePrompts: result.negativePrompts,
+    tags: request.tags || [],
+    strategy: result.strategy,
+    width,
+    height,
+    seamScore: result.seamScore,
+    seeds: result.seeds,
+    params,
+    models: result.models,
+    fallbacks: result.fallbacks,
+    ...(result.upscale && { upscale: result.upscale }),
+    ...(result.pbrSettings && { pbrSettings: result.pbrSettings }),
+    ...(result.source && { source: result.source }),
+    files,
+    thumbnail: await createPreview(texture.buffer.toString('base64'), THUMBNAIL_SIZE)
+  };
+
+  // Write under a temporary name and rename, so readers never see half a file
+  const metadataPath = path.join(dir, METADATA_FILE);
+  await fs.writeFile(`${metadataPath}.tmp`, JSON.stringify(metadata, null, 2));
+  await fs.rename(`${metadataPath}.tmp`, metadataPath);
+
+  console.log(`Saved texture ${id} to the library ✓`);
+  return metadata;
+}
+
+/**
+ * Saves every successful texture of a generation to the library. A failure to
+ * save is logged and never fails the generation itself.
+ * @param {Object} result - Result of generateSeamlessTexture, generateBatch or makeUploadSeamless
+ * @param {Object} request - Normalized request the result was made from
+ * @returns {Promise<Object>} The result with `libraryId` set on each saved texture
+ */
+export async function addToLibrary(result, request) {
+  try {
+    if (result.variations) {
+      const variations = [];
+      for (const variation of result.variations) {
+        variations.push(variation.error
+          ? variation
+          : { ...variation, libraryId: (await saveTexture(variation, request)).id });
+      }
+      return { ...result, variations };
+    }
+
+    return { ...result, libraryId: (await saveTexture(result, request)).id };
+  } catch (error) {
+    console.error('❌ Failed to save texture to the library:', error);
+    return result;
+  }
+}
+
+/**
+ * Lists the library, newest first. Every texture's metadata is read on each
+ * call, which is fine for a team's library of a few thousand textures.
+ * @param {Object} filters - Parsed filters from validateLibraryQuery
+ * @returns {Promise<{textures: Object[], page: number, pageSize: number, total: number, totalPages: number}>}
+ *   One page of metadata, each with the `url` of the full texture
+ */
+export async function listTextures({ text, tags, strategy, from, to, page, pageSize }) {
+  let ids;
+  try {
+    ids = (await fs.readdir(TEXTURE_LIBRARY_DIR)).filter((name) => ID_PATTERN.test(name));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    ids = [];
+  }
+
+  const entries = (await Promise.all(ids.map((id) => readMetadata(path.join(TEXTURE_LIBRARY_DIR, id)))))
+    .filter(Boolean)
+    .filter((entry) => {
+      const createdAt = Date.parse(entry.createdAt);
+      return (!text || String(entry.prompt).toLowerCase().includes(text)) &&
+        tags.every((tag) => entry.tags.includes(tag)) &&
+        (!strategy || entry.strategy === strategy) &&
+        (from === null || createdAt >= from) &&
+        (to === null || createdAt <= to);
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  const start = (page - 1) * pageSize;
+  return {
+    textures: entries.slice(start, start + pageSize).map((entry) => ({ ...entry, url: `/api/textures/${entry.id}` })),
+    page,
+    pageSize,
+    total: entries.length,
+    totalPages: Math.ceil(entries.length / pageSize)
+  };
+}
+
+/**
+ * Reads a texture with its images, in the same shape /api/generate returns
+ * (so it can be sent to /api/material as is), plus its library metadata
+ * @param {string} id - Texture id
+ * @returns {Promise<Object|null>} The texture with `imageUrl` and `maps` as data URLs, or null if unknown
+ */
+export async function getTexture(id) {
+  const dir = textureDir(id);
+  const metadata = dir && await readMetadata(dir);
+  if (!metadata) {
+    return null;
+  }
+
+  const maps = {};
+  for (const [name, file] of Object.entries(metadata.files.maps)) {
+    maps[name] = await readDataUrl(dir, file);
+  }
+
+  return {
+    ...metadata,
+    imageUrl: await readDataUrl(dir, metadata.files.texture),
+    ...(Object.keys(maps).length > 0 && { maps })
+  };
+}
+
+/**
+ * Deletes a texture and its images
+ * @param {string} id - Texture id
+ * @returns {Promise<boolean>} False if there was no such texture
+ */
+export async function deleteTexture(id) {
+  const dir = textureDir(id);
+  if (!dir || !await readMetadata(dir)) {
+    return false;
+  }
+
+  await fs.rm(dir, { recursive: true, force: true });
+  console.log(`Deleted texture ${id} from the library`);
+  return true;
+}
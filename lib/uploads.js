@@ -0,0 +1,222 @@
+import Busboy from 'busboy';
+import sharp from 'sharp';
+import { GENERATION_PARAMS } from './generationParams';
+import makeImageSeamless from './makeImageSeamless';
+
+/**
+ * Largest accepted upload (MAX_UPLOAD_MB, default 20 MB)
+ */
+export const MAX_UPLOAD_BYTES = (Number(process.env.MAX_UPLOAD_MB) || 20) * 1024 * 1024;
+
+/**
+ * Image formats accepted for upload. AVIF lets results in any output format
+ * be sent back, e.g. to re-derive their PBR maps.
+ */
+export const UPLOAD_FORMATS = ['png', 'jpeg', 'webp', 'avif'];
+
+/**
+ * Longest side an upload is processed at; larger scans are scaled down to fit
+ */
+export const MAX_UPLOAD_SIDE = GENERATION_PARAMS.width.max;
+
+/**
+ * Prompt used for uploads sent without a description
+ */
+export const DEFAULT_UPLOAD_PROMPT = 'material';
+
+/**
+ * Reads the whole request body into a buffer, up to a size limit. A larger
+ * body is rejected right away and the rest is drained unread; destroying the
+ * request would take the socket with it, so the client would never see the
+ * error response.
+ * @param {Object} req - Incoming request
+ * @param {number} limit - Largest accepted size in bytes
+ * @returns {Promise<Buffer>}
+ */
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    let chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    req.on('data', (chunk) => {
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > limit) {
+        tooLarge = true;
+        chunks = [];
+        reject(new Error(`Upload is larger than ${Math.round(limit / 1024 / 1024)} MB`));
+        req.resume();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Parses a multipart body: the `image` file and every text field
+ * @param {Object} req - Incoming request
+ * @returns {Promise<{fields: Object, file: Buffer|null}>}
+ */
+function readMultipart(req) {
+  return new Promise((resolve, reject) => {
+    const fields = {};
+    let file = null;
+    let busboy;
+
+    try {
+      busboy = Busboy({ headers: req.headers, limits: { files: 1, fileSize: MAX_UPLOAD_BYTES } });
+    } catch (error) {
+      reject(error);
+      return;
+    }
+
+    busboy.on('field', (name, value) => {
+      fields[name] = value;
+    });
+    busboy.on('file', (name, stream) => {
+      if (name !== 'image') {
+        stream.resume();
+        return;
+      }
+
+      const chunks = [];
+      stream.on('data', (chunk) => chunks.push(chunk));
+      stream.on('limit', () => reject(new Error(`Upload is larger than ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB`)));
+      stream.on('end', () => {
+        file = Buffer.concat(chunks);
+      });
+    });
+    busboy.on('close', () => resolve({ fields, file }));
+    busboy.on('error', reject);
+
+    req.pipe(busboy);
+  });
+}
+
+/**
+ * Turns multipart text fields into the types a JSON body would have: numbers,
+ * booleans and enum values for schema fields, and lists for comma-separated `candidates` and `tags`
+ * @param {Object} fields - Raw string fields
+ * @returns {Object}
+ */
+function coerceFormFields(fields) {
+  const coerced = { ...fields };
+
+  for (const [name, value] of Object.entries(fields)) {
+    const field = GENERATION_PARAMS[name];
+    if (value === '') {
+      delete coerced[name];
+    } else if (field && field.type === 'boolean') {
+      coerced[name] = value === 'true' ? true : value === 'false' ? false : value;
+    } else if (field && field.type === 'enum') {
+      // Enum values may be numbers, such as `upscale`
+      coerced[name] = field.values.find((option) => String(option) === value) ?? value;
+    } else if (field) {
+      coerced[name] = Number(value);
+    }
+  }
+  if (typeof coerced.candidates === 'string') {
+    coerced.candidates = coerced.candidates.split(',').map((name) => name.trim());
+  }
+  if (typeof coerced.tags === 'string') {
+    coerced.tags = coerced.tags.split(',');
+  }
+
+  return coerced;
+}
+
+/**
+ * Reads an image upload from either a multipart form (an `image` file plus text
+ * fields) or a JSON body whose `image` is base64 or a data URL. The route must
+ * disable Next's body parser.
+ * @param {Object} req - Incoming request
+ * @returns {Promise<{fields: Object, file: Buffer|null}>} The other fields, typed as in a JSON body, and the raw image
+ */
+export async function readUpload(req) {
+  const contentType = req.headers['content-type'] || '';
+
+  if (contentType.startsWith('multipart/form-data')) {
+    const { fields, file } = await readMultipart(req);
+    return { fields: coerceFormFields(fields), file };
+  }
+
+  const body = await readBody(req, Math.ceil(MAX_UPLOAD_BYTES * 4 / 3) + 64 * 1024);
+  let fields;
+  try {
+    fields = JSON.parse(body.toString('utf8') || '{}');
+  } catch (error) {
+    throw new Error('Body must be multipart/form-data or JSON');
+  }
+
+  const { image, ...rest } = fields;
+  const base64 = typeof image === 'string' ? image.replace(/^data:[^,]*,/, '') : null;
+  return { fields: rest, file: base64 ? Buffer.from(base64, 'base64') : null };
+}
+
+/**
+ * Checks that an upload is a PNG, JPEG, WebP or AVIF image and normalizes it for the
+ * seamless pipeline: EXIF rotation is applied, alpha is dropped, scans larger
+ * than MAX_UPLOAD_SIDE are scaled down, and the result is re-encoded as PNG.
+ * @param {Buffer|null} file - Raw upload
+ * @returns {Promise<{image: Object|null, errors: string[]}>} `{base64, width, height, originalWidth, originalHeight, format}`, or the error messages
+ */
+export async function prepareUpload(file) {
+  if (!file || file.length === 0) {
+    return { image: null, errors: ['An image is required (multipart field or base64 "image")'] };
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(file).metadata();
+  } catch (error) {
+    return { image: null, errors: ['The upload is not a readable image'] };
+  }
+
+  // sharp reports AVIF and HEIC both as HEIF; only the AV1 flavor can be decoded
+  const format = metadata.format === 'heif' && metadata.compression === 'av1' ? 'avif' : metadata.format;
+  if (!UPLOAD_FORMATS.includes(format)) {
+    return { image: null, errors: [`Unsupported image format "${format}". Upload PNG, JPEG, WebP or AVIF.`] };
+  }
+
+  const { data, info } = await sharp(file)
+    .rotate()
+    .removeAlpha()
+    .resize(MAX_UPLOAD_SIDE, MAX_UPLOAD_SIDE, { fit: 'inside', withoutEnlargement: true })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+
+  // EXIF orientations 5-8 swap the sides
+  const rotated = metadata.orientation >= 5;
+  return {
+    image: {
+      base64: data.toString('base64'),
+      width: info.width,
+      height: info.height,
+      originalWidth: rotated ? metadata.height : metadata.width,
+      originalHeight: rotated ? metadata.width : metadata.height,
+      format
+    },
+    errors: []
+  };
+}
+
+/**
+ * Runs the seamless stage on a prepared upload
+ * @param {Object} request - Normalized request from validateGenerationRequest, plus `image` from prepareUpload
+ * @param {Object} [callbacks]
+ * @param {Function} [callbacks.onProgress] - Progress callback, see generateSeamlessTexture
+ * @returns {Promise<Object>} The makeImageSeamless result plus `source`, the size and format of the upload
+ */
+export async function makeUploadSeamless(request, { onProgress = () => {} } = {}) {
+  const { base64, ...source } = request.image;
+
+  console.log(`Making uploaded ${source.format} image seamless at ${source.width}x${source.height}...`);
+  onProgress({ stage: 'upload', message: 'Image uploaded', preview: base64 });
+
+  const result = await makeImageSeamless(base64, request, { onProgress });
+  return { ...result, source };
+}
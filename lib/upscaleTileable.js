@@ -0,0 +1,89 @@
+import sharp from 'sharp';
+import { getProvider } from './providers';
+import { withCache } from './cache';
+import resizeTileable from './resizeTileable';
+
+/**
+ * Provider for the upscaling stage when neither the request nor IMAGE_PROVIDER names one
+ */
+export const DEFAULT_UPSCALE_PROVIDER = 'replicate';
+
+/**
+ * Longest side an upscaled texture may have
+ */
+export const MAX_UPSCALED_SIDE = 4096;
+
+/**
+ * Checks that an upscaled texture stays within MAX_UPSCALED_SIDE
+ * @param {number} width - Width before upscaling
+ * @param {number} height - Height before upscaling
+ * @param {number} scale - Upscaling factor
+ * @returns {string|null} Error message, or null when the size is fine
+ */
+export function checkUpscaleSize(width, height, scale) {
+  if (scale > 1 && Math.max(width, height) * scale > MAX_UPSCALED_SIDE) {
+    return `Upscaling a ${width}x${height} texture ${scale}x would exceed ${MAX_UPSCALED_SIDE} pixels per side`;
+  }
+  return null;
+}
+
+/**
+ * Resolves the provider for the upscaling stage
+ * @param {string} [name] - Provider requested by the caller
+ * @returns {Object} The provider
+ */
+export function getUpscaleProvider(name) {
+  return getProvider(name, DEFAULT_UPSCALE_PROVIDER);
+}
+
+/**
+ * Upscales a seamless texture without breaking its seams. Upscalers treat the
+ * image borders as hard edges and sharpen or darken them, so the texture is
+ * first padded with wrapped-around copies of itself, upscaled, and cropped
+ * back: the borders the upscaler sees are then in the padding. If the
+ * upscaler fails, the texture is resampled with wrap-aware Lanczos instead.
+ * @param {string} imageBase64 - Base64 encoded seamless texture
+ * @param {Object} options
+ * @param {string} [options.provider] - Upscale provider name (see getUpscaleProvider)
+ * @param {number} options.scale - 2 or 4
+ * @param {Object} [options.cacheReport] - Collects the upscaler's cache hits and misses, see lib/cache
+ * @param {Function} [options.onProgress] - Progress callback, see generateSeamlessTexture
+ * @returns {Promise<{image: string, fallback: string|null}>} Base64 encoded PNG at `scale` times the size,
+ *   and `resample` as the fallback when the upscaler failed
+ */
+export default async function upscaleTileable(imageBase64, { provider, scale, cacheReport, onProgress = () => {} }) {
+  const upscaler = withCache(getUpscaleProvider(provider), { stage: 'upscale', report: cacheReport });
+  const { width, height } = await sharp(Buffer.from(imageBase64, 'base64')).metadata();
+
+  // Wide enough for the upscaler's receptive field, small enough to keep its input size down
+  const margin = Math.max(16, Math.round(Math.min(width, height) / 16));
+
+  console.log(`Upscaling ${width}x${height} texture ${scale}x with ${upscaler.name}...`);
+  onProgress({ stage: 'upscale', message: `Upscaling ${scale}x with ${upscaler.name}` });
+
+  try {
+    const padded = await sharp(Buffer.from(imageBase64, 'base64'))
+      .extend({ top: margin, bottom: margin, left: margin, right: margin, extendWith: 'repeat' })
+      .png()
+      .toBuffer();
+
+    const upscaled = await upscaler.upscale({ image: padded.toString('base64'), scale });
+
+    // Upscalers may round the output size, so fit it to the exact padded size before cropping
+    const image = await sharp(Buffer.from(upscaled, 'base64'))
+      .resize((width + 2 * margin) * scale, (height + 2 * margin) * scale, { fit: 'fill' })
+      .extract({ left: margin * scale, top: margin * scale, width: width * scale, height: height * scale })
+      .png()
+      .toBuffer();
+
+    console.log(`Upscaled to ${width * scale}x${height * scale} ✓`);
+    onProgress({ stage: 'upscale', message: 'Upscaled texture ready', preview: image.toString('base64') });
+    return { image: image.toString('base64'), fallback: null };
+  } catch (error) {
+    console.error('❌ Upscaling failed, resampling instead:', error);
+    onProgress({ stage: 'upscale', message: 'Upscaler failed, resampling instead', fallback: 'resample' });
+
+    const image = await resizeTileable(imageBase64, width * scale, height * scale);
+    return { image: image.toString('base64'), fallback: 'resample' };
+  }
+}
@@ -0,0 +1,27 @@
+import { validateGenerationRequest } from '../../lib/generateSeamlessTexture';
+import generateBatch, { DEFAULT_BATCH_COUNT } from '../../lib/generateBatch';
+import { addToLibrary } from '../../lib/textureLibrary';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { request, errors } = validateGenerationRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; '), errors });
+    }
+
+    // Unlike /api/generate, a batch always returns the variations list
+    request.params.count = request.params.count ?? DEFAULT_BATCH_COUNT;
+
+    const result = await generateBatch(request);
+    return res.status(200).json(await addToLibrary(result, request));
+  } catch (error) {
+    console.error('Error generating texture variations:', error);
+    return res.status(500).json({
+      error: error.message || 'Failed to generate texture variations'
+    });
+  }
+}
@@ -0,0 +1,55 @@
+import convertImage, { IMAGE_FORMATS } from '../../lib/convertImage';
+import { validateGenerationParams } from '../../lib/generationParams';
+import { readUpload } from '../../lib/uploads';
+
+export const config = {
+  api: {
+    // Multipart uploads are parsed with busboy, JSON bodies by readUpload
+    bodyParser: false,
+    responseLimit: false
+  }
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    let upload;
+    try {
+      upload = await readUpload(req);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Re-encodes a finished texture or map for download, at its own size
+    const { format, quality } = upload.fields;
+    const { params, errors } = validateGenerationParams({ quality });
+    if (!IMAGE_FORMATS[format]) {
+      errors.push(`format must be one of: ${Object.keys(IMAGE_FORMATS).join(', ')}`);
+    }
+    if (!upload.file || upload.file.length === 0) {
+      errors.push('An image is required (multipart field or base64 "image")');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; '), errors });
+    }
+
+    let converted;
+    try {
+      converted = await convertImage(upload.file, { format, quality: params.quality });
+    } catch (error) {
+      return res.status(400).json({ error: 'The upload is not a readable image' });
+    }
+
+    res.setHeader('Content-Type', converted.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="texture.${converted.extension}"`);
+    return res.status(200).send(converted.buffer);
+  } catch (error) {
+    console.error('Error converting image:', error);
+    return res.status(500).json({
+      error: error.message || 'Failed to convert image'
+    });
+  }
+}
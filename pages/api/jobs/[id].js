@@ -0,0 +1,16 @@
+import { getJob } from '../../../lib/jobs';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const job = getJob(req.query.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found (it may have expired)' });
+  }
+
+  // Pollers must always see the latest status
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(200).json(job);
+}
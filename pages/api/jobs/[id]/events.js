@@ -0,0 +1,67 @@
+import { getJob, subscribeToJob } from '../../../../lib/jobs';
+
+// How often a comment line is sent so proxies keep an idle stream open
+const HEARTBEAT_MS = 15000;
+
+export const config = {
+  api: {
+    // The stream stays open for the whole job and carries preview images
+    responseLimit: false
+  }
+};
+
+/**
+ * Writes one Server-Sent Event
+ * @param {Object} res - Response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const job = getJob(req.query.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found (it may have expired)' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Keeps Next's gzip compression and nginx-style proxies from buffering the stream
+    'Content-Encoding': 'none',
+    'X-Accel-Buffering': 'no'
+  });
+
+  // Catch up on everything that already happened, so a late subscriber sees the same log
+  job.events.forEach((entry) => sendEvent(res, 'stage', entry));
+  if (job.preview) {
+    sendEvent(res, 'preview', { preview: job.preview, stage: job.stage, message: job.message });
+  }
+
+  if (job.status === 'complete' || job.status === 'failed') {
+    sendEvent(res, job.status === 'complete' ? 'done' : 'failed', job);
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  const unsubscribe = subscribeToJob(job.id, (type, data) => {
+    sendEvent(res, type, data);
+    if (type === 'done' || type === 'failed') {
+      clearInterval(heartbeat);
+      res.end();
+    }
+  });
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+  });
+}
@@ -0,0 +1,24 @@
+import { validateGenerationRequest } from '../../../lib/generateSeamlessTexture';
+import { createJob } from '../../../lib/jobs';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Same body as /api/generate, rejected up front so a bad request never becomes a job
+    const { request, errors } = validateGenerationRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; '), errors });
+    }
+
+    const job = createJob(request);
+    return res.status(202).json({ ...job, statusUrl: `/api/jobs/${job.id}` });
+  } catch (error) {
+    console.error('Error creating generation job:', error);
+    return res.status(500).json({
+      error: error.message || 'Failed to create generation job'
+    });
+  }
+}
@@ -0,0 +1,67 @@
+import createMaterialBundle, {
+  DEFAULT_NAME_TEMPLATE,
+  validateExportOptions,
+  validateNameTemplate
+} from '../../lib/createMaterialBundle';
+import derivePbrMaps from '../../lib/derivePbrMaps';
+import { encodeMaps, pickPbrSettings } from '../../lib/makeImageSeamless';
+import { validateGenerationParams } from '../../lib/generationParams';
+
+export const config = {
+  api: {
+    // The body carries the albedo and every map as data URLs
+    bodyParser: { sizeLimit: '50mb' },
+    responseLimit: false
+  }
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // The body is a generation result as returned by /api/generate, plus packaging options
+    const { imageUrl, name, nameTemplate = DEFAULT_NAME_TEMPLATE, sizes, mips, ...material } = req.body;
+
+    const errors = [];
+    if (typeof imageUrl !== 'string' || !imageUrl) {
+      errors.push('imageUrl is required');
+    }
+    const templateError = validateNameTemplate(nameTemplate);
+    if (templateError) {
+      errors.push(templateError);
+    }
+    errors.push(...validateExportOptions({ sizes, mips }));
+    // `pbr: true` derives the maps here when the result has none yet, using the PBR fields of the body.
+    // `quality` applies to resized copies in lossy formats.
+    const deriveMaps = req.body.pbr === true && !material.maps;
+    const { params, errors: paramErrors } = validateGenerationParams(deriveMaps ? req.body : { quality: req.body.quality });
+    errors.push(...paramErrors);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; '), errors });
+    }
+
+    if (deriveMaps) {
+      material.maps = await encodeMaps(await derivePbrMaps(imageUrl.replace(/^data:[^,]*,/, ''), params), params);
+      material.pbrSettings = pickPbrSettings(params);
+    }
+
+    const { buffer, filename } = await createMaterialBundle({ ...material, imageUrl }, {
+      name,
+      nameTemplate,
+      sizes,
+      mips,
+      quality: params.quality
+    });
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.status(200).send(buffer);
+  } catch (error) {
+    console.error('Error creating material bundle:', error);
+    return res.status(500).json({
+      error: error.message || 'Failed to create material bundle'
+    });
+  }
+}
@@ -0,0 +1,43 @@
+import derivePbrMaps from '../../lib/derivePbrMaps';
+import { encodeMaps, pickPbrSettings } from '../../lib/makeImageSeamless';
+import { validateGenerationParams } from '../../lib/generationParams';
+import { prepareUpload, readUpload } from '../../lib/uploads';
+
+export const config = {
+  api: {
+    // Multipart uploads are parsed with busboy, JSON bodies by readUpload
+    bodyParser: false,
+    responseLimit: false
+  }
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    let upload;
+    try {
+      upload = await readUpload(req);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Re-derives maps from an existing seamless texture, e.g. after changing the strength settings
+    const { params, errors } = validateGenerationParams(upload.fields);
+    const { image, errors: imageErrors } = await prepareUpload(upload.file);
+    const allErrors = [...errors, ...imageErrors];
+    if (allErrors.length > 0) {
+      return res.status(400).json({ error: allErrors.join('; '), errors: allErrors });
+    }
+
+    const maps = await derivePbrMaps(image.base64, params);
+    return res.status(200).json({ maps: await encodeMaps(maps, params), pbrSettings: pickPbrSettings(params) });
+  } catch (error) {
+    console.error('Error deriving PBR maps:', error);
+    return res.status(500).json({
+      error: error.message || 'Failed to derive PBR maps'
+    });
+  }
+}
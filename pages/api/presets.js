@@ -0,0 +1,19 @@
+import { DEFAULT_PRESET, loadPresets } from '../../lib/presets';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Not cached by the browser, so presets dropped into PRESETS_DIR show up right away
+    const presets = Object.entries(loadPresets()).map(([name, preset]) => ({ name, ...preset }));
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ presets, default: DEFAULT_PRESET });
+  } catch (error) {
+    console.error('Error listing presets:', error);
+    return res.status(500).json({
+      error: error.message || 'Failed to list presets'
+    });
+  }
+}
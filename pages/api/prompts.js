@@ -0,0 +1,25 @@
+import expandPrompts from '../../lib/expandPrompts';
+import { validateGenerationRequest } from '../../lib/generateSeamlessTexture';
+import { DEFAULT_UPLOAD_PROMPT } from '../../lib/uploads';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Same body as /api/generate; `upload: true` makes the prompt optional as for /api/seamless
+    const { upload, ...body } = req.body;
+    const { request, errors } = validateGenerationRequest(body, upload ? { defaultPrompt: DEFAULT_UPLOAD_PROMPT } : {});
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; '), errors });
+    }
+
+    return res.status(200).json({ ...expandPrompts(request), variables: request.variables });
+  } catch (error) {
+    console.error('Error expanding prompts:', error);
+    return res.status(500).json({
+      error: error.message || 'Failed to expand prompts'
+    });
+  }
+}
@@ -0,0 +1,57 @@
+import { validateGenerationRequest } from '../../lib/generateSeamlessTexture';
+import { createJob } from '../../lib/jobs';
+import { addToLibrary } from '../../lib/textureLibrary';
+import { checkUpscaleSize } from '../../lib/upscaleTileable';
+import { DEFAULT_UPLOAD_PROMPT, makeUploadSeamless, prepareUpload, readUpload } from '../../lib/uploads';
+
+export const config = {
+  api: {
+    // Multipart uploads are parsed with busboy, JSON bodies by readUpload
+    bodyParser: false,
+    responseLimit: false
+  }
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    let upload;
+    try {
+      upload = await readUpload(req);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // The prompt only describes the material, so it is optional for uploads
+    const { request, errors } = validateGenerationRequest(upload.fields, { defaultPrompt: DEFAULT_UPLOAD_PROMPT });
+    const { image, errors: imageErrors } = await prepareUpload(upload.file);
+    const allErrors = [...errors, ...imageErrors];
+    // The size check in validateGenerationRequest used the schema size; uploads bring their own
+    const upscaleError = request && image && checkUpscaleSize(image.width, image.height, request.params.upscale);
+    if (upscaleError) {
+      allErrors.push(upscaleError);
+    }
+    if (allErrors.length > 0) {
+      return res.status(400).json({ error: allErrors.join('; '), errors: allErrors });
+    }
+
+    const uploadRequest = { ...request, image };
+
+    // `async` queues a job like /api/jobs instead of holding the request open
+    if (upload.fields.async === true || upload.fields.async === 'true') {
+      const job = createJob(uploadRequest);
+      return res.status(202).json({ ...job, statusUrl: `/api/jobs/${job.id}` });
+    }
+
+    const result = await makeUploadSeamless(uploadRequest);
+    return res.status(200).json(await addToLibrary(result, uploadRequest));
+  } catch (error) {
+    console.error('Error making uploaded image seamless:', error);
+    return res.status(500).json({
+      error: error.message || 'Failed to make image seamless'
+    });
+  }
+}
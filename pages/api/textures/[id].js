@@ -0,0 +1,34 @@
+import { deleteTexture, getTexture } from '../../../lib/textureLibrary';
+
+export const config = {
+  api: {
+    // Textures come back with their images and maps as data URLs
+    responseLimit: false
+  }
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    if (req.method === 'DELETE') {
+      if (!await deleteTexture(req.query.id)) {
+        return res.status(404).json({ error: 'Texture not found' });
+      }
+      return res.status(204).end();
+    }
+
+    const texture = await getTexture(req.query.id);
+    if (!texture) {
+      return res.status(404).json({ error: 'Texture not found' });
+    }
+    return res.status(200).json(texture);
+  } catch (error) {
+    console.error('Error reading texture:', error);
+    return res.status(500).json({
+      error: error.message || 'Failed to read texture'
+    });
+  }
+}
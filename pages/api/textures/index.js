@@ -0,0 +1,22 @@
+import { listTextures, validateLibraryQuery } from '../../../lib/textureLibrary';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { filters, errors } = validateLibraryQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; '), errors });
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json(await listTextures(filters));
+  } catch (error) {
+    console.error('Error listing textures:', error);
+    return res.status(500).json({
+      error: error.message || 'Failed to list textures'
+    });
+  }
+}
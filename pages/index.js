@@ -1,69 +1,500 @@
-import { useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import Head from 'next/head';
 import Image from 'next/image';
+import { GENERATION_PARAMS, getDefaultParams } from '../lib/generationParams';
+import { EXPORT_SIZES } from '../lib/exportSizes';
+import TiledPreview from '../components/TiledPreview';
+import ExpandedPrompts from '../components/ExpandedPrompts';
+import {
+  addHistoryEntry,
+  DEFAULT_HISTORY_LIMIT_MB,
+  deleteHistoryEntry,
+  enforceHistoryLimit,
+  getHistoryResult,
+  listHistory
+} from '../lib/generationHistory';
+
+// Fields shown in the "Advanced settings" panel, grouped by pipeline stage
+const ADVANCED_STAGES = [
+  { stage: 'initial', title: 'Initial texture' },
+  { stage: 'seamless', title: 'Seamless pass' },
+  { stage: 'pbr', title: 'PBR maps' },
+  { stage: 'output', title: 'Output' }
+].map(({ stage, title }) => ({
+  title,
+  fields: Object.entries(GENERATION_PARAMS).filter(([, field]) => field.stage === stage)
+}));
+
+// Derived maps in display order, with their labels
+const PBR_MAPS = [
+  ['height', 'Height'],
+  ['normal', 'Normal'],
+  ['roughness', 'Roughness'],
+  ['ao', 'AO']
+];
+
+// Image types /api/seamless accepts for upload
+const UPLOAD_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/avif'];
+
+// Formats offered in the download dialog; `original` saves the image as the server returned it
+const DOWNLOAD_FORMATS = [
+  { format: 'original', label: 'As generated' },
+  { format: 'png', label: 'PNG', extension: 'png' },
+  { format: 'jpeg', label: 'JPEG', extension: 'jpg', lossy: true },
+  { format: 'webp', label: 'WebP', extension: 'webp', lossy: true },
+  { format: 'avif', label: 'AVIF', extension: 'avif', lossy: true },
+  { format: 'png16', label: '16-bit PNG', extension: 'png', heightOnly: true },
+  { format: 'tiff16', label: '16-bit TIFF', extension: 'tif', heightOnly: true }
+];
+
+// File extensions of the image types the server returns
+const MIME_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/tiff': 'tif'
+};
+
+// How often a running job is polled, and when the UI gives up on it
+const POLL_INTERVAL_MS = 2000;
+const JOB_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Where the history storage cap chosen in the sidebar is remembered
+const HISTORY_LIMIT_KEY = 'historyLimitMb';
 
 export default function Home() {
+  const [mode, setMode] = useState('generate');
   const [prompt, setPrompt] = useState('');
+  const [presets, setPresets] = useState([]);
+  const [preset, setPreset] = useState('generic');
+  const [negativePrompt, setNegativePrompt] = useState('');
+  const [negativeMode, setNegativeMode] = useState('merge');
+  const [promptPreview, setPromptPreview] = useState(null);
+  const [uploadFile, setUploadFile] = useState(null);
+  const [uploadPreview, setUploadPreview] = useState(null);
+  const [dragActive, setDragActive] = useState(false);
+  const fileInputRef = useRef(null);
   const [result, setResult] = useState(null);
+  const [seamScore, setSeamScore] = useState(null);
+  const [seed, setSeed] = useState('');
+  const [seamlessSeed, setSeamlessSeed] = useState('');
+  const [usedSeeds, setUsedSeeds] = useState(null);
+  const [count, setCount] = useState(1);
+  const [variations, setVariations] = useState(null);
+  const [selectedVariation, setSelectedVariation] = useState(0);
+  // Full result of the shown texture (metadata, maps), as sent back for material bundles
+  const [details, setDetails] = useState(null);
+  const [mapsLoading, setMapsLoading] = useState(false);
+  const [nameTemplate, setNameTemplate] = useState('');
+  const [bundling, setBundling] = useState(false);
+  const [exportSizes, setExportSizes] = useState([]);
+  const [exportMips, setExportMips] = useState(false);
+  // Images waiting in the download dialog: `{images: [{imageUrl, name}], height}`
+  const [downloadDialog, setDownloadDialog] = useState(null);
+  const [showTiledPreview, setShowTiledPreview] = useState(false);
+  const formRef = useRef(null);
+  const [history, setHistory] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
+  const [historyLimitMb, setHistoryLimitMb] = useState(DEFAULT_HISTORY_LIMIT_MB);
+  const [pendingRegenerate, setPendingRegenerate] = useState(false);
+  const [downloadFormat, setDownloadFormat] = useState('original');
+  const [downloadQuality, setDownloadQuality] = useState(GENERATION_PARAMS.quality.default);
+  const maps = details && details.maps;
+  const selectedPreset = presets.find((entry) => entry.name === preset);
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  const [advancedParams, setAdvancedParams] = useState(getDefaultParams);
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
   const [generationStage, setGenerationStage] = useState(null);
+  const [progress, setProgress] = useState([]);
+  const [preview, setPreview] = useState(null);
+
+  const refreshHistory = async () => {
+    try {
+      setHistory(await listHistory());
+    } catch (err) {
+      console.error('Error reading history:', err);
+    }
+  };
+
+  // IndexedDB only exists in the browser, so the history loads after the first render
+  useEffect(() => {
+    const savedLimit = Number(window.localStorage.getItem(HISTORY_LIMIT_KEY));
+    if (savedLimit > 0) setHistoryLimitMb(savedLimit);
+    refreshHistory();
+  }, []);
+
+  // Presets can be added on the server at any time, so list them on every load
+  useEffect(() => {
+    fetch('/api/presets')
+      .then((response) => response.json())
+      .then((data) => {
+        setPresets(data.presets);
+        setPreset(data.default);
+      })
+      .catch((err) => console.error('Error loading presets:', err));
+  }, []);
+
+  // "Regenerate" fills in the form first; submit once those settings have rendered
+  useEffect(() => {
+    if (!pendingRegenerate) return;
+    setPendingRegenerate(false);
+    formRef.current.requestSubmit();
+  }, [pendingRegenerate]);
+
+  // A full history must never fail the generation itself
+  const saveToHistory = async (results, params) => {
+    try {
+      for (const item of results) {
+        await addHistoryEntry(
+          { mode, prompt, preset, negativePrompt, negativeMode, params, result: item },
+          historyLimitMb * 1024 * 1024
+        );
+      }
+    } catch (err) {
+      console.error('Error saving to history:', err);
+    }
+    refreshHistory();
+  };
+
+  // Fields shared by generations and prompt previews
+  const getRequestFields = () => ({
+    prompt,
+    preset,
+    ...(negativePrompt.trim() !== '' && { negativePrompt }),
+    negativeMode,
+    // Cleared number fields fall back to the server defaults
+    ...Object.fromEntries(Object.entries(advancedParams).filter(([, value]) => value !== '')),
+    // Blank seed fields mean "random"
+    ...(seamlessSeed !== '' && { seamlessSeed: Number(seamlessSeed) })
+  });
+
+  // Expands the prompts the current settings would send, without generating anything
+  const handlePreviewPrompts = async () => {
+    setError(null);
+    try {
+      const response = await fetch('/api/prompts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...getRequestFields(), upload: mode === 'upload' })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Server error: ${response.status}`);
+      }
+      // Uploads skip the initial stage
+      const stages = mode === 'upload' ? ['seamless'] : ['initial', 'seamless'];
+      setPromptPreview({
+        prompts: Object.fromEntries(stages.map((stage) => [stage, data[stage].positive])),
+        negativePrompts: Object.fromEntries(stages.map((stage) => [stage, data[stage].negative]))
+      });
+    } catch (err) {
+      console.error('Error previewing prompts:', err);
+      setError(err.message || 'Failed to preview prompts');
+    }
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    if (mode === 'upload' && !uploadFile) {
+      setError('Choose an image to make seamless');
+      return;
+    }
     setError(null);
     setLoading(true);
     setGenerationStage('starting');
     
     // Clear previous result to show loading state
     setResult(null);
+    setSeamScore(null);
+    setUsedSeeds(null);
+    setVariations(null);
+    setDetails(null);
+    setProgress([]);
+    setPreview(null);
+    setPromptPreview(null);
+
+    const fields = getRequestFields();
 
     try {
-      const controller = new AbortController();
-      // Set timeout for request (60 seconds)
-      const timeoutId = setTimeout(() => controller.abort(), 60000);
-      
-      setGenerationStage('generating');
-      
-      const response = await fetch('/api/generate', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ prompt }),
-        signal: controller.signal
-      });
+      // Queue the job, then follow it instead of holding one request open
+      const response = mode === 'upload'
+        ? await fetch('/api/seamless', { method: 'POST', body: toUploadForm(fields) })
+        : await fetch('/api/jobs', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            ...fields,
+            ...(seed !== '' && { seed: Number(seed) }),
+            count
+          })
+        });
 
-      clearTimeout(timeoutId);
-      
       if (!response.ok) {
         const errorData = await response.json();
         throw new Error(errorData.error || `Server error: ${response.status}`);
       }
-      
-      const data = await response.json();
+
+      const data = await followJob(await response.json());
       setGenerationStage('complete');
-      setResult(data.imageUrl);
-    } catch (err) {
-      console.error('Generation error:', err);
-      if (err.name === 'AbortError') {
-        setError('Request timed out. The server might be busy. Please try again.');
+      if (data.variations) {
+        // Show the first variation that succeeded; the rest are picked from the grid
+        setVariations(data.variations);
+        showVariation(data.variations.find((variation) => !variation.error));
       } else {
-        setError(err.message || 'Failed to generate texture');
+        showVariation(data);
       }
+      saveToHistory(data.variations ? data.variations.filter((variation) => !variation.error) : [data], advancedParams);
+    } catch (err) {
+      console.error('Generation error:', err);
+      setError(err.message || 'Failed to generate texture');
       setGenerationStage('error');
     } finally {
       setLoading(false);
     }
   };
 
-  const handleDownload = async () => {
-    if (!result) return;
+  // Streams a job's stages and previews over Server-Sent Events, falling back
+  // to polling when the browser or a proxy can't keep the stream open
+  const followJob = (job) => {
+    if (typeof EventSource === 'undefined') {
+      return pollJob(job);
+    }
+
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(`/api/jobs/${job.id}/events`);
+      const finish = (callback) => (e) => {
+        source.close();
+        callback(JSON.parse(e.data));
+      };
+
+      source.addEventListener('stage', (e) => {
+        const entry = JSON.parse(e.data);
+        setGenerationStage(entry.stage);
+        setProgress((entries) => [...entries, entry]);
+      });
+      source.addEventListener('preview', (e) => setPreview(JSON.parse(e.data).preview));
+      source.addEventListener('done', finish((finished) => resolve(finished.result)));
+      source.addEventListener('failed', finish((failed) => {
+        reject(new Error(failed.error || 'Failed to generate texture'));
+      }));
+      source.onerror = () => {
+        console.warn('Progress stream interrupted, polling the job instead');
+        source.close();
+        pollJob(job).then(resolve, reject);
+      };
+    });
+  };
+
+  // Polls a job until it finishes, mirroring its stage into the loading message
+  const pollJob = async (job) => {
+    const deadline = Date.now() + JOB_TIMEOUT_MS;
+
+    while (job.status === 'queued' || job.status === 'running') {
+      setGenerationStage(job.stage);
+      setProgress(job.events);
+      setPreview(job.preview);
+      if (Date.now() > deadline) {
+        throw new Error('Generation timed out. The server might be busy. Please try again.');
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+      const response = await fetch(`/api/jobs/${job.id}`);
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || `Server error: ${response.status}`);
+      }
+      job = await response.json();
+    }
+
+    if (job.status === 'failed') {
+      throw new Error(job.error || 'Failed to generate texture');
+    }
+    return job.result;
+  };
+
+  // Multipart body for /api/seamless, run as a job like /api/jobs
+  const toUploadForm = (fields) => {
+    const form = new FormData();
+    form.append('image', uploadFile);
+    Object.entries(fields).forEach(([name, value]) => form.append(name, String(value)));
+    form.append('async', 'true');
+    return form;
+  };
+
+  const selectUploadFile = (file) => {
+    if (!file) return;
+    if (!UPLOAD_TYPES.includes(file.type)) {
+      setError('Upload a PNG, JPEG, WebP or AVIF image');
+      return;
+    }
+
+    setError(null);
+    if (uploadPreview) URL.revokeObjectURL(uploadPreview);
+    setUploadFile(file);
+    setUploadPreview(URL.createObjectURL(file));
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    selectUploadFile(e.dataTransfer.files[0]);
+  };
+
+  const showVariation = (variation) => {
+    setSelectedVariation(variation.index ?? 0);
+    setResult(variation.imageUrl);
+    setSeamScore(variation.seamScore);
+    setUsedSeeds(variation.seeds);
+    setDetails(variation);
+  };
+
+  // Re-derives the PBR maps of the shown texture with the current settings, without regenerating it
+  const handleUpdateMaps = async () => {
+    setMapsLoading(true);
+    setError(null);
+
+    try {
+      // The map settings, plus the output formats the maps are encoded in
+      const pbrParams = Object.entries(advancedParams)
+        .filter(([name, value]) => ['pbr', 'output'].includes(GENERATION_PARAMS[name].stage) && value !== '');
+      const response = await fetch('/api/pbr', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ image: result, ...Object.fromEntries(pbrParams) })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Server error: ${response.status}`);
+      }
+      setDetails((current) => ({ ...current, maps: data.maps, pbrSettings: data.pbrSettings }));
+    } catch (err) {
+      console.error('Error deriving PBR maps:', err);
+      setError(err.message || 'Failed to derive PBR maps');
+    } finally {
+      setMapsLoading(false);
+    }
+  };
+
+  const openDownloadDialog = (images, height = false) => {
+    // 16-bit formats are only offered for height maps
+    if (!height && DOWNLOAD_FORMATS.find((entry) => entry.format === downloadFormat).heightOnly) {
+      setDownloadFormat('original');
+    }
+    setDownloadDialog({ images, height });
+  };
+
+  const handleDownload = () => openDownloadDialog([{ imageUrl: result, name: `seamless-texture-${Date.now()}` }]);
+
+  const handleDownloadAll = () => {
+    const timestamp = Date.now();
+    openDownloadDialog(variations
+      .filter((variation) => !variation.error)
+      .map((variation) => ({ imageUrl: variation.imageUrl, name: `seamless-texture-${timestamp}-${variation.index + 1}` })));
+  };
+
+  const handleDownloadMap = (name) => {
+    openDownloadDialog([{ imageUrl: maps[name], name: `seamless-texture-${Date.now()}-${name}` }], name === 'height');
+  };
+
+  // Saves the images of the download dialog, converting them on the server unless kept as generated
+  const handleConfirmDownload = async () => {
+    const { images } = downloadDialog;
+    const target = DOWNLOAD_FORMATS.find((entry) => entry.format === downloadFormat);
+    setDownloadDialog(null);
+
+    for (const { imageUrl, name } of images) {
+      if (target.format === 'original') {
+        await downloadImage(imageUrl, name);
+        continue;
+      }
+
+      try {
+        const response = await fetch('/api/convert', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ image: imageUrl, format: target.format, quality: downloadQuality })
+        });
+
+        if (!response.ok) {
+          const errorData = await response.json();
+          throw new Error(errorData.error || `Server error: ${response.status}`);
+        }
+        saveBlob(await response.blob(), `${name}.${target.extension}`);
+      } catch (err) {
+        console.error('Error converting image:', err);
+        setError(err.message || 'Failed to convert image');
+        return;
+      }
+    }
+  };
+
+  // Packs the shown texture, its maps and a material.json manifest into a ZIP
+  const handleDownloadMaterial = async () => {
+    setBundling(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/material', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...details,
+          ...(nameTemplate && { nameTemplate }),
+          sizes: exportSizes,
+          mips: exportMips
+        })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || `Server error: ${response.status}`);
+      }
+
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const match = disposition.match(/filename="([^"]+)"/);
+      saveBlob(await response.blob(), match ? match[1] : 'material.zip');
+    } catch (err) {
+      console.error('Error creating material bundle:', err);
+      setError(err.message || 'Failed to create material bundle');
+    } finally {
+      setBundling(false);
+    }
+  };
+
+  const toggleExportSize = (size) => {
+    setExportSizes((sizes) => sizes.includes(size) ? sizes.filter((entry) => entry !== size) : [...sizes, size]);
+  };
+
+  const saveBlob = (blob, filename) => {
+    // Create download link
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    
+    // Trigger download
+    document.body.appendChild(link);
+    link.click();
+    
+    // Cleanup
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+  };
+
+  // Saves an image as `name` plus the extension of its type
+  const downloadImage = async (imageUrl, name) => {
+    if (!imageUrl) return;
     
     try {
       let blob;
       
-      if (result.startsWith('data:')) {
+      if (imageUrl.startsWith('data:')) {
         // Handle base64 data URL
-        const base64Data = result.split(',')[1];
+        const mimeType = imageUrl.slice(5, imageUrl.indexOf(';'));
+        const base64Data = imageUrl.split(',')[1];
         const byteCharacters = atob(base64Data);
         const byteNumbers = new Array(byteCharacters.length);
         
@@ -72,38 +503,105 @@ export default function Home() {
         }
         
         const byteArray = new Uint8Array(byteNumbers);
-        blob = new Blob([byteArray], { type: 'image/png' });
+        blob = new Blob([byteArray], { type: mimeType });
       } else {
         // Handle regular URL
-        const response = await fetch(result);
+        const response = await fetch(imageUrl);
         blob = await response.blob();
       }
       
-      // Create download link
-      const url = window.URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `seamless-texture-${Date.now()}.png`; // Dynamic filename
-      
-      // Trigger download
-      document.body.appendChild(link);
-      link.click();
-      
-      // Cleanup
-      document.body.removeChild(link);
-      window.URL.revokeObjectURL(url);
+      saveBlob(blob, `${name}.${MIME_EXTENSIONS[blob.type] || 'png'}`);
     } catch (err) {
       console.error('Error downloading image:', err);
       setError('Failed to download image');
     }
   };
 
+  // Puts the prompt and settings of a history entry back in the form
+  const restoreSettings = (entry) => {
+    setPrompt(entry.prompt);
+    if (entry.preset) setPreset(entry.preset);
+    setNegativePrompt(entry.negativePrompt || '');
+    setNegativeMode(entry.negativeMode || 'merge');
+    setAdvancedParams({ ...getDefaultParams(), ...entry.params });
+  };
+
+  // Shows a past result again, with the settings it was made with
+  const handleRestoreHistory = async (entry) => {
+    const stored = await getHistoryResult(entry.id);
+    if (!stored) return;
+    setVariations(null);
+    setProgress([]);
+    restoreSettings(entry);
+    showVariation(stored);
+  };
+
+  const handleDownloadHistory = async (entry) => {
+    const stored = await getHistoryResult(entry.id);
+    if (stored) openDownloadDialog([{ imageUrl: stored.imageUrl, name: `seamless-texture-${entry.createdAt}` }]);
+  };
+
+  const handleDeleteHistory = async (entry) => {
+    await deleteHistoryEntry(entry.id);
+    refreshHistory();
+  };
+
+  // Same prompt and settings with fresh seeds; keep the seeds of a restored result with "Reuse seed"
+  const handleRegenerate = (entry) => {
+    setMode('generate');
+    restoreSettings(entry);
+    setSeed('');
+    setSeamlessSeed('');
+    setCount(1);
+    setShowHistory(false);
+    setPendingRegenerate(true);
+  };
+
+  const handleHistoryLimitChange = async (value) => {
+    const limit = Number(value);
+    if (!(limit > 0)) return;
+    setHistoryLimitMb(limit);
+    window.localStorage.setItem(HISTORY_LIMIT_KEY, String(limit));
+    await enforceHistoryLimit(limit * 1024 * 1024);
+    refreshHistory();
+  };
+
+  const handleAdvancedChange = (name, field, value) => {
+    let parsed = value;
+    if (field.type === 'enum') {
+      // Select values are strings; map them back to the schema's own values, which may be numbers
+      parsed = field.values.find((option) => String(option) === value);
+    } else if (field.type !== 'boolean' && value !== '') {
+      parsed = Number(value);
+    }
+    setAdvancedParams((params) => ({ ...params, [name]: parsed }));
+  };
+
+  const handleReuseSeeds = () => {
+    if (!usedSeeds) return;
+    // Uploads have no initial seed
+    if (usedSeeds.initial !== undefined) setSeed(String(usedSeeds.initial));
+    setSeamlessSeed(usedSeeds.seamless === null ? '' : String(usedSeeds.seamless));
+  };
+
   const renderLoadingMessage = () => {
+    // Prefer the server's own description of the current step
+    const latest = progress[progress.length - 1];
+    if (latest && latest.stage === generationStage) {
+      return `${latest.message}...`;
+    }
+
     switch (generationStage) {
       case 'starting':
         return 'Preparing generation...';
-      case 'generating':
-        return 'Generating texture (this might take up to 1 minute)...';
+      case 'queued':
+        return 'Waiting for a free worker...';
+      case 'initial':
+        return 'Generating initial texture...';
+      case 'seamless':
+        return 'Making texture seamless (this might take a minute)...';
+      case 'scoring':
+        return 'Scoring seams...';
       default:
         return 'Generating Texture...';
     }
@@ -125,25 +623,269 @@ export default function Home() {
           {/* Left Column - Inputs */}
           <div className="bg-white rounded-xl shadow-lg p-6 hover:shadow-xl transition-shadow duration-300">
             <div className="space-y-6">
-              <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="flex rounded-lg bg-gray-100 p-1 text-sm font-medium">
+                {[['generate', 'Generate from text'], ['upload', 'Make my image seamless']].map(([value, label]) => (
+                  <button
+                    key={value}
+                    type="button"
+                    onClick={() => setMode(value)}
+                    disabled={loading}
+                    className={`flex-1 py-2 rounded-md transition-colors duration-200 ${
+                      mode === value ? 'bg-white shadow-sm text-indigo-600' : 'text-gray-600 hover:text-gray-800'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+
+              <form ref={formRef} onSubmit={handleSubmit} className="space-y-4">
+                {mode === 'upload' && (
+                  <div
+                    onDragOver={(e) => {
+                      e.preventDefault();
+                      setDragActive(true);
+                    }}
+                    onDragLeave={() => setDragActive(false)}
+                    onDrop={handleDrop}
+                    onClick={() => fileInputRef.current.click()}
+                    className={`flex flex-col items-center justify-center h-48 border-2 border-dashed rounded-lg cursor-pointer transition-colors duration-200 ${
+                      dragActive ? 'border-indigo-500 bg-indigo-50' : 'border-gray-300 hover:border-indigo-400'
+                    }`}
+                  >
+                    {uploadPreview ? (
+                      <img src={uploadPreview} alt="Image to make seamless" className="h-full w-full object-contain p-2" />
+                    ) : (
+                      <p className="text-sm text-gray-500 text-center px-4">
+                        Drop a PNG, JPEG, WebP or AVIF image here, or click to choose one
+                      </p>
+                    )}
+                    <input
+                      ref={fileInputRef}
+                      type="file"
+                      accept={UPLOAD_TYPES.join(',')}
+                      className="hidden"
+                      onChange={(e) => selectUploadFile(e.target.files[0])}
+                      disabled={loading}
+                    />
+                  </div>
+                )}
+
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Enter your texture description:
+                    {mode === 'upload' ? 'Describe the material (optional):' : 'Enter your texture description:'}
                   </label>
                   <textarea
                     value={prompt}
                     onChange={(e) => setPrompt(e.target.value)}
                     className="w-full px-4 py-3 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-colors duration-200"
-                    rows="4"
-                    required
+                    rows={mode === 'upload' ? 2 : 4}
+                    required={mode === 'generate'}
                     placeholder="Example: Wet concrete, stone wall, wooden planks..."
                     disabled={loading}
                   />
-                  <p className="mt-2 text-xs text-gray-500">
-                    Your prompt will be used in a two-step process:
-                    <br />1. First, to generate a high-quality initial texture
-                    <br />2. Then, to make that texture perfectly seamless for tiling
-                  </p>
+                  {mode === 'generate' ? (
+                    <p className="mt-2 text-xs text-gray-500">
+                      Your prompt will be used in a two-step process:
+                      <br />1. First, to generate a high-quality initial texture
+                      <br />2. Then, to make that texture perfectly seamless for tiling
+                      <br />Add details as <code>color: rust red, wear: heavy, scale: large, style: stylized</code>
+                      <br />Weight mixed materials as <code>(moss:1.3), (cracked stone:0.8)</code>
+                    </p>
+                  ) : (
+                    <p className="mt-2 text-xs text-gray-500">
+                      Your image goes straight to the seamless step; the description guides the AI passes.
+                    </p>
+                  )}
+                </div>
+
+                {presets.length > 0 && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Material preset
+                    </label>
+                    <select
+                      value={preset}
+                      onChange={(e) => setPreset(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 text-sm"
+                      disabled={loading}
+                    >
+                      {presets.map((entry) => (
+                        <option key={entry.name} value={entry.name}>{entry.label}</option>
+                      ))}
+                    </select>
+                    {selectedPreset && selectedPreset.description && (
+                      <p className="mt-1 text-xs text-gray-500">{selectedPreset.description}</p>
+                    )}
+                  </div>
+                )}
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Negative prompt (optional)
+                  </label>
+                  <textarea
+                    value={negativePrompt}
+                    onChange={(e) => setNegativePrompt(e.target.value)}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 text-sm"
+                    rows={2}
+                    placeholder="Example: moss, cracks, bright highlights"
+                    disabled={loading}
+                  />
+                  <div className="mt-1 flex items-center justify-between text-xs text-gray-600">
+                    <div className="flex gap-3">
+                      <label className="flex items-center gap-1">
+                        <input
+                          type="radio"
+                          checked={negativeMode === 'merge'}
+                          onChange={() => setNegativeMode('merge')}
+                          disabled={loading}
+                        />
+                        Add to the preset's negatives
+                      </label>
+                      <label className="flex items-center gap-1">
+                        <input
+                          type="radio"
+                          checked={negativeMode === 'replace'}
+                          onChange={() => setNegativeMode('replace')}
+                          disabled={loading}
+                        />
+                        Replace them
+                      </label>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={handlePreviewPrompts}
+                      disabled={loading}
+                      className="text-indigo-600 hover:underline disabled:text-gray-400"
+                    >
+                      Preview prompts
+                    </button>
+                  </div>
+                  {promptPreview && (
+                    <div className="mt-2 p-3 bg-gray-50 rounded-lg">
+                      <ExpandedPrompts {...promptPreview} />
+                    </div>
+                  )}
+                </div>
+
+                <div className="grid grid-cols-3 gap-4">
+                  {mode === 'generate' && (
+                    <>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Variations
+                        </label>
+                        <input
+                          type="number"
+                          min={GENERATION_PARAMS.count.min}
+                          max={GENERATION_PARAMS.count.max}
+                          step="1"
+                          value={count}
+                          onChange={(e) => setCount(Number(e.target.value) || 1)}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 text-sm"
+                          title="Each variation gets its own seeds; fixed seeds count up per variation"
+                          disabled={loading}
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Seed
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          step="1"
+                          value={seed}
+                          onChange={(e) => setSeed(e.target.value)}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 text-sm"
+                          placeholder="Random"
+                          disabled={loading}
+                        />
+                      </div>
+                    </>
+                  )}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Seamless seed
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={seamlessSeed}
+                      onChange={(e) => setSeamlessSeed(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 text-sm"
+                      placeholder="Random"
+                      disabled={loading}
+                    />
+                  </div>
+                </div>
+                
+                <div className="border border-gray-200 rounded-lg">
+                  <button
+                    type="button"
+                    onClick={() => setShowAdvanced(!showAdvanced)}
+                    className="w-full flex justify-between items-center px-4 py-2 text-sm font-medium text-gray-700"
+                  >
+                    Advanced settings
+                    <span className="text-gray-400">{showAdvanced ? '−' : '+'}</span>
+                  </button>
+                  {showAdvanced && (
+                    <div className="px-4 pb-4 space-y-4">
+                      {ADVANCED_STAGES.map(({ title, fields }) => (
+                        <div key={title}>
+                          <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">{title}</h3>
+                          <div className="grid grid-cols-2 gap-3">
+                            {fields.map(([name, field]) => (
+                              <label key={name} className="block text-xs text-gray-600" title={field.description}>
+                                {field.label}
+                                {field.type === 'enum' ? (
+                                  <select
+                                    value={advancedParams[name]}
+                                    onChange={(e) => handleAdvancedChange(name, field, e.target.value)}
+                                    className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                    disabled={loading}
+                                  >
+                                    {field.values.map((value) => (
+                                      <option key={value} value={value}>{value}</option>
+                                    ))}
+                                  </select>
+                                ) : field.type === 'boolean' ? (
+                                  <input
+                                    type="checkbox"
+                                    checked={advancedParams[name]}
+                                    onChange={(e) => handleAdvancedChange(name, field, e.target.checked)}
+                                    className="mt-1 block h-4 w-4 text-indigo-600 border-gray-300 rounded"
+                                    disabled={loading}
+                                  />
+                                ) : (
+                                  <input
+                                    type="number"
+                                    min={field.min}
+                                    max={field.max}
+                                    step={field.multipleOf || field.step || 1}
+                                    value={advancedParams[name]}
+                                    onChange={(e) => handleAdvancedChange(name, field, e.target.value)}
+                                    className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                    disabled={loading}
+                                  />
+                                )}
+                              </label>
+                            ))}
+                          </div>
+                        </div>
+                      ))}
+                      <button
+                        type="button"
+                        onClick={() => setAdvancedParams(getDefaultParams())}
+                        className="text-xs text-indigo-600 underline"
+                        disabled={loading}
+                      >
+                        Reset to defaults
+                      </button>
+                    </div>
+                  )}
                 </div>
                 
                 <button
@@ -159,7 +901,7 @@ export default function Home() {
                       </svg>
                       {renderLoadingMessage()}
                     </span>
-                  ) : 'Generate Texture'}
+                  ) : mode === 'upload' ? 'Make Seamless' : 'Generate Texture'}
                 </button>
               </form>
 
@@ -202,76 +944,42 @@ export default function Home() {
                     Download
                   </button>
                   <button
-                    onClick={() => {
-                      const newWindow = window.open();
-                      if (newWindow) {
-                        newWindow.document.write(`
-                          <html>
-                            <head>
-                              <title>Seamless Texture - Full Size</title>
-                              <style>
-                                body { 
-                                  margin: 0;
-                                  padding: 20px;
-                                  background: repeating-conic-gradient(#f5f5f5 0% 25%, #e0e0e0 0% 50%) 50% / 20px 20px;
-                                  display: flex;
-                                  flex-direction: column;
-                                  align-items: center;
-                                }
-                                div.container {
-                                  background: repeating-conic-gradient(#f5f5f5 0% 25%, #e0e0e0 0% 50%) 50% / 20px 20px;
-                                  padding: 20px;
-                                  border-radius: 8px;
-                                  margin-bottom: 20px;
-                                  text-align: center;
-                                }
-                                h3 { 
-                                  font-family: sans-serif;
-                                  margin-top: 0;
-                                }
-                                img {
-                                  max-width: 100%;
-                                  height: auto;
-                                  display: block;
-                                  box-shadow: 0 4px 8px rgba(0,0,0,0.1);
-                                }
-                              </style>
-                            </head>
-                            <body>
-                              <div class="container">
-                                <h3>Full-size Seamless Texture</h3>
-                                <p style="font-family: sans-serif; font-size: 14px; margin-bottom: 20px;">
-                                  This texture is tileable - the edges match perfectly for seamless repetition
-                                </p>
-                              </div>
-                              <img src="${result}" alt="Full-size seamless texture">
-                            </body>
-                          </html>
-                        `);
-                      }
-                    }}
+                    onClick={() => setShowTiledPreview(true)}
                     className="px-3 py-1 text-xs bg-white/90 hover:bg-white rounded-md text-gray-700 shadow-sm transition-colors duration-200"
                   >
-                    Open Full Size
+                    Tiled preview
                   </button>
                 </div>
               </div>
             ) : loading ? (
               <div className="aspect-square w-full bg-gray-50 rounded-lg flex flex-col items-center justify-center">
-                <div className="animate-pulse flex flex-col items-center">
-                  <div className="w-24 h-24 rounded-full bg-indigo-100 flex items-center justify-center mb-4">
-                    <svg className="animate-spin h-12 w-12 text-indigo-400" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                    </svg>
+                {preview ? (
+                  <div className="flex flex-col items-center">
+                    <img
+                      src={preview}
+                      alt="Intermediate texture preview"
+                      className="w-48 h-48 object-contain rounded-lg shadow-sm opacity-80"
+                    />
+                    <p className="text-indigo-600 text-sm font-medium text-center mt-4">
+                      {renderLoadingMessage()}
+                    </p>
                   </div>
-                  <p className="text-indigo-600 text-sm font-medium text-center">
-                    {renderLoadingMessage()}
-                  </p>
-                  <p className="text-gray-500 text-xs mt-2 text-center max-w-xs">
-                    The first generation might take longer depending on server load.
-                  </p>
-                </div>
+                ) : (
+                  <div className="animate-pulse flex flex-col items-center">
+                    <div className="w-24 h-24 rounded-full bg-indigo-100 flex items-center justify-center mb-4">
+                      <svg className="animate-spin h-12 w-12 text-indigo-400" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                      </svg>
+                    </div>
+                    <p className="text-indigo-600 text-sm font-medium text-center">
+                      {renderLoadingMessage()}
+                    </p>
+                    <p className="text-gray-500 text-xs mt-2 text-center max-w-xs">
+                      The first generation might take longer depending on server load.
+                    </p>
+                  </div>
+                )}
               </div>
             ) : (
               <div className="aspect-square w-full bg-gray-50 rounded-lg flex items-center justify-center">
@@ -280,9 +988,314 @@ export default function Home() {
                 </p>
               </div>
             )}
+            {variations && variations.length > 1 && (
+              <div className="mt-3">
+                <div className="grid grid-cols-4 gap-2">
+                  {variations.map((variation) => (
+                    <button
+                      key={variation.index}
+                      type="button"
+                      onClick={() => !variation.error && showVariation(variation)}
+                      disabled={Boolean(variation.error)}
+                      title={variation.error || `Seam score ${variation.seamScore.score.toFixed(2)}`}
+                      className={`relative aspect-square rounded-md overflow-hidden bg-gray-100 ${
+                        variation.index === selectedVariation ? 'ring-2 ring-indigo-500' : 'hover:ring-2 hover:ring-gray-300'
+                      }`}
+                    >
+                      {variation.error ? (
+                        <span className="text-xs text-red-600">Failed</span>
+                      ) : (
+                        <>
+                          <img src={variation.imageUrl} alt={`Variation ${variation.index + 1}`} className="w-full h-full object-cover" />
+                          <span className={`absolute bottom-1 right-1 px-1 rounded text-[10px] bg-white/90 ${
+                            variation.seamScore.tileable ? 'text-green-700' : 'text-amber-700'
+                          }`}>
+                            {variation.seamScore.score.toFixed(2)}
+                          </span>
+                        </>
+                      )}
+                    </button>
+                  ))}
+                </div>
+                <button
+                  onClick={handleDownloadAll}
+                  className="mt-2 px-3 py-1 text-xs bg-gray-100 hover:bg-gray-200 rounded-md text-gray-700 transition-colors duration-200"
+                >
+                  Download all
+                </button>
+              </div>
+            )}
+            {progress.length > 0 && (
+              <ol className="mt-3 space-y-1 text-xs text-gray-500">
+                {progress.map((entry, index) => (
+                  <li key={index} className={entry.fallback ? 'text-amber-700' : undefined}>
+                    {entry.message}
+                    {entry.fallback && ` (fallback: ${entry.fallback})`}
+                  </li>
+                ))}
+              </ol>
+            )}
+            {result && seamScore && (
+              <p className={`mt-3 text-sm ${seamScore.tileable ? 'text-green-700' : 'text-amber-700'}`}>
+                Tileability score: {seamScore.score.toFixed(2)}
+                {seamScore.tileable ? ' - edges match' : ' - seams may be visible when tiled'}
+              </p>
+            )}
+            {result && details && details.upscale && (
+              <p className="mt-1 text-xs text-gray-500">
+                Upscaled {details.upscale.scale}x (score before upscaling: {details.upscale.seamScoreBefore.score.toFixed(2)})
+              </p>
+            )}
+            {result && details && details.cache && Object.keys(details.cache).length > 0 && (
+              <p className="mt-1 text-xs text-gray-500">
+                From cache: {Object.entries(details.cache).map(([stage, { hits, misses }]) => {
+                  if (misses === 0) return `${stage} yes`;
+                  return hits === 0 ? `${stage} no` : `${stage} ${hits} of ${hits + misses} calls`;
+                }).join(', ')}
+              </p>
+            )}
+            {result && usedSeeds && (usedSeeds.initial !== undefined || usedSeeds.seamless !== null) && (
+              <div className="mt-2 flex items-center justify-between text-sm text-gray-600">
+                <span>
+                  Seeds: {[
+                    usedSeeds.initial !== undefined && `initial ${usedSeeds.initial}`,
+                    usedSeeds.seamless !== null && `seamless ${usedSeeds.seamless}`
+                  ].filter(Boolean).join(', ')}
+                </span>
+                <button
+                  onClick={handleReuseSeeds}
+                  className="px-3 py-1 text-xs bg-gray-100 hover:bg-gray-200 rounded-md text-gray-700 transition-colors duration-200"
+                >
+                  Reuse seed
+                </button>
+              </div>
+            )}
+            {result && details && details.prompts && (
+              <details className="mt-2 text-sm text-gray-600">
+                <summary className="cursor-pointer">Prompts used</summary>
+                <div className="mt-2">
+                  <ExpandedPrompts prompts={details.prompts} negativePrompts={details.negativePrompts} />
+                </div>
+              </details>
+            )}
+            {result && (
+              <div className="mt-4">
+                {maps && (
+                  <div className="grid grid-cols-4 gap-2 mb-2">
+                    {PBR_MAPS.map(([name, label]) => (
+                      <button
+                        key={name}
+                        type="button"
+                        onClick={() => handleDownloadMap(name)}
+                        title={`Download the ${label.toLowerCase()} map`}
+                        className="text-xs text-gray-600"
+                      >
+                        <img src={maps[name]} alt={`${label} map`} className="aspect-square w-full object-cover rounded-md bg-gray-100" />
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                <div className="flex flex-wrap items-center gap-2">
+                  <button
+                    onClick={handleUpdateMaps}
+                    disabled={mapsLoading}
+                    className="px-3 py-1 text-xs bg-gray-100 hover:bg-gray-200 rounded-md text-gray-700 transition-colors duration-200 disabled:opacity-50"
+                  >
+                    {mapsLoading ? 'Deriving maps...' : maps ? 'Update PBR maps' : 'Derive PBR maps'}
+                  </button>
+                  <button
+                    onClick={handleDownloadMaterial}
+                    disabled={bundling || !details}
+                    className="px-3 py-1 text-xs bg-indigo-50 hover:bg-indigo-100 rounded-md text-indigo-700 transition-colors duration-200 disabled:opacity-50"
+                  >
+                    {bundling ? 'Packing...' : 'Download material (.zip)'}
+                  </button>
+                  <input
+                    type="text"
+                    value={nameTemplate}
+                    onChange={(e) => setNameTemplate(e.target.value)}
+                    className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded-md text-xs"
+                    placeholder="{name}_{map}"
+                    title="File names in the ZIP. Placeholders: {name}, {map}, {seed}, {strategy}, {width}, {height}"
+                  />
+                </div>
+                <div className="mt-2 flex flex-wrap items-center gap-3 text-xs text-gray-600">
+                  <span title="Extra sizes in the ZIP, resampled so each still tiles">Sizes:</span>
+                  {EXPORT_SIZES.map((size) => (
+                    <label key={size} className="flex items-center gap-1">
+                      <input
+                        type="checkbox"
+                        checked={exportSizes.includes(size)}
+                        onChange={() => toggleExportSize(size)}
+                      />
+                      {size}
+                    </label>
+                  ))}
+                  <label className="flex items-center gap-1" title="Add a mip chain down to 1x1 below each size">
+                    <input
+                      type="checkbox"
+                      checked={exportMips}
+                      onChange={(e) => setExportMips(e.target.checked)}
+                    />
+                    Mip chains
+                  </label>
+                </div>
+              </div>
+            )}
           </div>
         </div>
       </main>
+
+      <button
+        onClick={() => setShowHistory(true)}
+        className="fixed top-4 right-4 px-3 py-2 text-sm bg-white hover:bg-gray-50 border border-gray-200 rounded-lg shadow-sm text-gray-700 transition-colors duration-200"
+      >
+        History{history.length > 0 && ` (${history.length})`}
+      </button>
+
+      {showHistory && (
+        <div className="fixed inset-0 z-10 flex justify-end bg-black/40" onClick={() => setShowHistory(false)}>
+          <aside className="flex flex-col w-full max-w-sm h-full bg-white shadow-xl p-5" onClick={(e) => e.stopPropagation()}>
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-sm font-semibold text-gray-800">History</h3>
+              <button
+                onClick={() => setShowHistory(false)}
+                className="px-3 py-1 text-xs bg-gray-100 hover:bg-gray-200 rounded-md text-gray-700 transition-colors duration-200"
+              >
+                Close
+              </button>
+            </div>
+            <div className="flex items-center justify-between mb-3 text-xs text-gray-600">
+              <span>
+                {(history.reduce((sum, entry) => sum + entry.size, 0) / (1024 * 1024)).toFixed(1)} MB used
+              </span>
+              <label className="flex items-center gap-1" title="Oldest entries are removed once the history grows past this">
+                Limit
+                <input
+                  type="number"
+                  min="1"
+                  value={historyLimitMb}
+                  onChange={(e) => handleHistoryLimitChange(e.target.value)}
+                  className="w-16 px-2 py-1 border border-gray-300 rounded-md text-xs"
+                />
+                MB
+              </label>
+            </div>
+            <div className="flex-1 min-h-0 overflow-y-auto space-y-3">
+              {history.length === 0 && (
+                <p className="text-sm text-gray-500">Finished textures will appear here.</p>
+              )}
+              {history.map((entry) => (
+                <div key={entry.id} className="flex gap-3 p-2 border border-gray-200 rounded-lg">
+                  {entry.thumbnail ? (
+                    <img src={entry.thumbnail} alt="" className="w-16 h-16 object-cover rounded-md flex-shrink-0" />
+                  ) : (
+                    <div className="w-16 h-16 bg-gray-100 rounded-md flex-shrink-0" />
+                  )}
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm text-gray-800 truncate" title={entry.prompt}>
+                      {entry.prompt || (entry.mode === 'upload' ? 'Uploaded image' : 'Untitled')}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {new Date(entry.createdAt).toLocaleString()}
+                      {entry.seamScore !== null && ` · score ${entry.seamScore.toFixed(2)}`}
+                    </p>
+                    <div className="flex flex-wrap gap-2 mt-1 text-xs">
+                      <button onClick={() => handleRestoreHistory(entry)} className="text-indigo-600 hover:underline">
+                        Restore
+                      </button>
+                      <button onClick={() => handleDownloadHistory(entry)} className="text-indigo-600 hover:underline">
+                        Download
+                      </button>
+                      {entry.mode === 'generate' && (
+                        <button
+                          onClick={() => handleRegenerate(entry)}
+                          disabled={loading}
+                          className="text-indigo-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+                        >
+                          Regenerate
+                        </button>
+                      )}
+                      <button onClick={() => handleDeleteHistory(entry)} className="text-red-600 hover:underline">
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </aside>
+        </div>
+      )}
+
+      {showTiledPreview && result && (
+        <div className="fixed inset-0 z-10 flex items-center justify-center bg-black/40 p-6" onClick={() => setShowTiledPreview(false)}>
+          <div className="flex flex-col w-full max-w-5xl h-full max-h-[90vh] bg-white rounded-xl shadow-xl p-5" onClick={(e) => e.stopPropagation()}>
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-sm font-semibold text-gray-800">Tiled preview</h3>
+              <button
+                onClick={() => setShowTiledPreview(false)}
+                className="px-3 py-1 text-xs bg-gray-100 hover:bg-gray-200 rounded-md text-gray-700 transition-colors duration-200"
+              >
+                Close
+              </button>
+            </div>
+            <div className="flex-1 min-h-0">
+              <TiledPreview imageUrl={result} />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {downloadDialog && (
+        <div className="fixed inset-0 z-10 flex items-center justify-center bg-black/40" onClick={() => setDownloadDialog(null)}>
+          <div className="w-72 bg-white rounded-xl shadow-xl p-5" onClick={(e) => e.stopPropagation()}>
+            <h3 className="text-sm font-semibold text-gray-800 mb-3">
+              Download {downloadDialog.images.length > 1 ? `${downloadDialog.images.length} images` : 'image'}
+            </h3>
+            <label className="block text-xs text-gray-600 mb-1">Format</label>
+            <select
+              value={downloadFormat}
+              onChange={(e) => setDownloadFormat(e.target.value)}
+              className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm mb-3"
+            >
+              {DOWNLOAD_FORMATS
+                .filter((entry) => downloadDialog.height || !entry.heightOnly)
+                .map((entry) => (
+                  <option key={entry.format} value={entry.format}>{entry.label}</option>
+                ))}
+            </select>
+            {DOWNLOAD_FORMATS.find((entry) => entry.format === downloadFormat).lossy && (
+              <>
+                <label className="block text-xs text-gray-600 mb-1">Quality: {downloadQuality}</label>
+                <input
+                  type="range"
+                  min={GENERATION_PARAMS.quality.min}
+                  max={GENERATION_PARAMS.quality.max}
+                  value={downloadQuality}
+                  onChange={(e) => setDownloadQuality(Number(e.target.value))}
+                  className="w-full mb-3"
+                />
+              </>
+            )}
+            <div className="flex justify-end gap-2">
+              <button
+                onClick={() => setDownloadDialog(null)}
+                className="px-3 py-1 text-xs bg-gray-100 hover:bg-gray-200 rounded-md text-gray-700 transition-colors duration-200"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleConfirmDownload}
+                className="px-3 py-1 text-xs bg-indigo-600 hover:bg-indigo-700 rounded-md text-white transition-colors duration-200"
+              >
+                Download
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
       
       <footer className="py-4 border-t border-gray-200 mt-12">
         <div className="container mx-auto px-4 max-w-6xl">